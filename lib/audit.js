@@ -0,0 +1,56 @@
+var fs = require('fs');
+
+var SECRET_KEYS = /pass(word|phrase)?|secret|token|private_key|user_data|authorization/i;
+var REDACTED = '[REDACTED]';
+
+/**
+ * <b>Redact a request body</b>.
+ * Copies a body replacing the values of keys that may hold secrets, like password, token, private_key and user_data,
+ * at any depth.
+ * @param {*}         body            Required, the body
+ * @return {*} the redacted copy
+ */
+var redact = function(body) {
+	if (Array.isArray(body)) {
+		return body.map(redact);
+	}
+
+	if (!body || typeof body !== 'object') {
+		return body;
+	}
+
+	var copy = {};
+
+	Object.keys(body).forEach(function(key) {
+		copy[key] = SECRET_KEYS.test(key) && body[key] !== null && body[key] !== undefined ? REDACTED : redact(body[key]);
+	});
+
+	return copy;
+};
+
+/**
+ * <b>JSON lines audit sink</b>.
+ * Appends every entry to a file as a line of JSON.
+ * @param {string}    file            Required, path of the file
+ * @return {Function} sink for the client's audit option
+ */
+var jsonLines = function(file) {
+	return function(entry) {
+		fs.appendFileSync(file, JSON.stringify(entry) + '\n');
+	};
+};
+
+/**
+ * <b>Console dry run sink</b>.
+ * Prints what a dry run would have sent, e.g. 'DRY RUN DELETE /droplets/123'.
+ * @param {Object}    entry           Required, audit entry
+ */
+var print = function(entry) {
+	console.log('DRY RUN ' + entry.method + ' ' + entry.path + (entry.body ? ' ' + JSON.stringify(entry.body) : ''));
+};
+
+module.exports = {
+	redact: redact,
+	jsonLines: jsonLines,
+	print: print
+};
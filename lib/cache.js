@@ -0,0 +1,260 @@
+var crypto = require('crypto');
+
+var TTL = {
+	regions: 60 * 60 * 1000,
+	sizes: 60 * 60 * 1000,
+	images: 10 * 60 * 1000
+};
+var RELATED = {
+	droplets: ['images', 'snapshots'],
+	snapshots: ['images'],
+	images: ['snapshots']
+};
+
+/**
+ * Deep copy of a stored value, so callers changing a result don't change what the store hands out next.
+ *
+ * @private
+ * @param {*}         value           the value
+ * @return {*}
+ */
+var copy = function(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * <b>In-memory cache store</b>.
+ * The default store of a Cache. Other stores, backed by a file or Redis, need the same asynchronous interface:
+ * get(key, callback(error, value)), set(key, value, callback(error)), del(key, callback(error)) and keys(callback(error, keys)).
+ * Values are plain objects that survive JSON serialization, this store keeps and hands out copies of them like a serializing one would.
+ * @constructor
+ */
+var MemoryStore = function() {
+	this.values = {};
+};
+
+/**
+ * <b>Get a value</b>.
+ * @param {string}    key             Required, key of the value
+ * @callback          complete        called with (error, value), value being undefined when there is none
+ * @memberof MemoryStore
+ * @method get
+ */
+MemoryStore.prototype.get = function(key, callback) {
+	var value = copy(this.values[key]);
+
+	process.nextTick(function() {
+		callback(null, value);
+	});
+};
+
+/**
+ * <b>Set a value</b>.
+ * @param {string}    key             Required, key of the value
+ * @param {Object}    value           Required, the value
+ * @callback          complete
+ * @memberof MemoryStore
+ * @method set
+ */
+MemoryStore.prototype.set = function(key, value, callback) {
+	this.values[key] = copy(value);
+	process.nextTick(callback);
+};
+
+/**
+ * <b>Delete a value</b>.
+ * @param {string}    key             Required, key of the value
+ * @callback          complete
+ * @memberof MemoryStore
+ * @method del
+ */
+MemoryStore.prototype.del = function(key, callback) {
+	delete this.values[key];
+	process.nextTick(callback);
+};
+
+/**
+ * <b>List the keys</b>.
+ * @callback          complete        called with (error, keys)
+ * @memberof MemoryStore
+ * @method keys
+ */
+MemoryStore.prototype.keys = function(callback) {
+	var keys = Object.keys(this.values);
+
+	process.nextTick(function() {
+		callback(null, keys);
+	});
+};
+
+/**
+ * <b>Response Cache</b>.
+ * Keeps the responses of GET requests to the resources it has a TTL for, by default regions and sizes for an hour and
+ * images for ten minutes, so repeated requests don't use up the rate limit. An expired response with an ETag is
+ * revalidated with If-None-Match, a 304 answer renews it. Successful POST, PUT, PATCH and DELETE requests drop the
+ * responses of their resource and of the resources they affect, e.g. droplet actions drop the image lists.
+ * Responses are kept per token, the key holding a hash of it rather than the token itself.
+ * @constructor
+ * @param {Object}    options         Optional, { ttl: { regions, sizes, images }, store: new MemoryStore() }, ttl in milliseconds,
+ *                                    merged with the defaults, 0 turning the cache off for a resource
+ */
+var Cache = function(options) {
+	options = options || {};
+
+	var ttl = {};
+	[TTL, options.ttl || {}].forEach(function(source) {
+		Object.keys(source).forEach(function(resource) {
+			ttl[resource] = source[resource];
+		});
+	});
+
+	this.ttl = ttl;
+	this.store = options.store || new MemoryStore();
+};
+module.exports = Cache;
+Cache.MemoryStore = MemoryStore;
+
+/**
+ * Store key of a request: the hash of its authorization, its resource and its URL.
+ *
+ * @private
+ * @param {string}    resource        first segment of the path after the API root
+ * @param {Object}    options         request options
+ * @return {string}
+ */
+var cacheKey = function(resource, options) {
+	var authorization = options.headers && options.headers.Authorization || '';
+
+	return [crypto.createHash('sha256').update(authorization).digest('hex').slice(0, 16), resource, options.url].join(' ');
+};
+
+/**
+ * Deletes keys from a store one after another.
+ *
+ * @private
+ * @param {Object}    store           the store
+ * @param {string[]}  keys            keys to delete
+ * @param {Function}  callback        Optional, called once they are deleted
+ */
+var deleteKeys = function(store, keys, callback) {
+	var next = function() {
+		if (!keys.length) {
+			return callback && callback();
+		}
+
+		store.del(keys.shift(), next);
+	};
+
+	next();
+};
+
+/**
+ * <b>Send a request through the cache</b>.
+ * Answers GET requests of cached resources from the store when it can and sends everything else with the transport.
+ * A store failing is treated like a miss, it never fails the request.
+ * @param {string}    resource        Required, first segment of the path after the API root, e.g. 'images'
+ * @param {Object}    options         Required, request options for the transport
+ * @param {Function}  transport       Required, function(options, callback) sending the request
+ * @callback          complete        called with (error, response, body), response.cached telling a stored response
+ * @memberof Cache
+ * @method send
+ */
+Cache.prototype.send = function(resource, options, transport, callback) {
+	var self = this;
+	var ttl = this.ttl[resource];
+
+	if (options.method !== 'GET') {
+		return transport(options, function(error, response, body) {
+			if (error || response.statusCode < 200 || response.statusCode > 299) {
+				return callback(error, response, body);
+			}
+
+			self.invalidate([resource].concat(RELATED[resource] || []), function() {
+				callback(error, response, body);
+			});
+		});
+	}
+
+	if (!ttl || options.encoding === null) {
+		return transport(options, callback);
+	}
+
+	var key = cacheKey(resource, options);
+
+	this.store.get(key, function(error, entry) {
+		if (error || !entry) {
+			entry = null;
+		}
+
+		if (entry && entry.expires > Date.now()) {
+			return callback(null, {statusCode: 200, headers: entry.headers, cached: true}, entry.body);
+		}
+
+		var headers = {};
+		var conditional = {};
+
+		Object.keys(options.headers || {}).forEach(function(name) {
+			headers[name] = options.headers[name];
+		});
+
+		if (entry && entry.etag) {
+			headers['If-None-Match'] = entry.etag;
+		}
+
+		Object.keys(options).forEach(function(name) {
+			conditional[name] = options[name];
+		});
+		conditional.headers = headers;
+
+		transport(conditional, function(error, response, body) {
+			if (error || (response.statusCode !== 200 && !(response.statusCode === 304 && entry))) {
+				return callback(error, response, body);
+			}
+
+			if (response.statusCode === 304) {
+				entry.expires = Date.now() + ttl;
+
+				return self.store.set(key, entry, function() {
+					callback(null, {statusCode: 200, headers: response.headers, cached: true}, entry.body);
+				});
+			}
+
+			self.store.set(key, {body: body, headers: response.headers, etag: response.headers.etag || null, expires: Date.now() + ttl}, function() {
+				callback(null, response, body);
+			});
+		});
+	});
+};
+
+/**
+ * <b>Drop stored responses</b>.
+ * Deletes the responses of the given resources for every token.
+ * @param {(string|string[])} resources  Required, resources like 'images'
+ * @callback          complete
+ * @memberof Cache
+ * @method invalidate
+ */
+Cache.prototype.invalidate = function(resources, callback) {
+	var store = this.store;
+	resources = [].concat(resources);
+
+	store.keys(function(error, keys) {
+		deleteKeys(store, (keys || []).filter(function(key) {
+			return resources.indexOf(key.split(' ')[1]) !== -1;
+		}), callback);
+	});
+};
+
+/**
+ * <b>Drop every stored response</b>.
+ * @callback          complete
+ * @memberof Cache
+ * @method clear
+ */
+Cache.prototype.clear = function(callback) {
+	var store = this.store;
+
+	store.keys(function(error, keys) {
+		deleteKeys(store, keys || [], callback);
+	});
+};
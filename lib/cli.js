@@ -0,0 +1,701 @@
+var fs = require('fs');
+var path = require('path');
+var Digitalocean = require('./digitalocean');
+var errors = require('./errors');
+
+var EXIT_CODES = {
+	ok: 0,
+	error: 1,
+	usage: 2,
+	notFound: 3,
+	authentication: 4,
+	validation: 5
+};
+var BOOLEAN_FLAGS = ['wait', 'help'];
+var SHORT_FLAGS = {o: 'output', w: 'wait', h: 'help'};
+var OUTPUTS = ['table', 'json', 'yaml'];
+var RESOURCES = {
+	droplets: 'droplet',
+	images: 'image',
+	regions: 'region',
+	sizes: 'size',
+	'ssh-keys': 'ssh-key',
+	domains: 'domain',
+	actions: 'action'
+};
+
+var DROPLET_COLUMNS = ['id', 'name', 'status', 'region.slug', 'size_slug', 'networks.v4.0.ip_address', 'tags'];
+var ACTION_COLUMNS = ['id', 'type', 'status', 'resource_type', 'resource_id', 'started_at'];
+var IMAGE_COLUMNS = ['id', 'slug', 'name', 'distribution', 'type', 'public'];
+var SSH_KEY_COLUMNS = ['id', 'name', 'fingerprint'];
+var DOMAIN_COLUMNS = ['name', 'ttl'];
+var RECORD_COLUMNS = ['id', 'type', 'name', 'data', 'priority', 'port', 'ttl'];
+
+/**
+ * Action options from the flags, --wait passes the action once it has completed.
+ *
+ * @private
+ * @param {Object}    flags           parsed flags
+ * @return {Object} action options
+ */
+var actionOptions = function(flags) {
+	return {wait: !!flags.wait};
+};
+
+/**
+ * Number for numeric ids and slugs for the rest.
+ *
+ * @private
+ * @param {string}    value           id or slug
+ * @return {(number|string)}
+ */
+var idOrSlug = function(value) {
+	return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Comma separated flag value as an array, empty when the flag is missing.
+ *
+ * @private
+ * @param {string}    value           flag value
+ * @return {Array}
+ */
+var list = function(value) {
+	return value === undefined || value === true ? [] : String(value).split(',').filter(Boolean);
+};
+
+/**
+ * The commands, keyed by resource and verb. args names the required arguments, flags the required flags, choices the
+ * values a flag may have, columns the table columns, raw commands print their result as it is.
+ */
+var COMMANDS = {
+	'droplet list': {
+		args: [],
+		usage: '[--tag name]',
+		columns: DROPLET_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletGetAll(flags.tag ? {tag_name: flags.tag} : {}, callback);
+		}
+	},
+	'droplet get': {
+		args: ['id'],
+		columns: DROPLET_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletGet(args.id, callback);
+		}
+	},
+	'droplet create': {
+		args: ['name'],
+		usage: '--region slug --size slug --image slug [--ssh-keys id|fingerprint|name,...] [--tags name,...] [--wait]',
+		flags: ['region', 'size', 'image'],
+		columns: DROPLET_COLUMNS,
+		run: function(api, args, flags, callback) {
+			var optionals = {};
+
+			if (flags['ssh-keys']) {
+				optionals.ssh_keys = list(flags['ssh-keys']).map(idOrSlug);
+			}
+
+			if (flags.tags) {
+				optionals.tags = list(flags.tags);
+			}
+
+			api.dropletNew(args.name, flags.region, flags.size, idOrSlug(flags.image), optionals, function(error, droplet) {
+				if (error || !flags.wait) {
+					return callback(error, droplet);
+				}
+
+				api.waitForDropletStatus(droplet.id, 'active', callback);
+			});
+		}
+	},
+	'droplet destroy': {
+		args: ['id'],
+		run: function(api, args, flags, callback) {
+			api.dropletDestroy(args.id, callback);
+		}
+	},
+	'droplet reboot': {
+		args: ['id'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletReboot(args.id, actionOptions(flags), callback);
+		}
+	},
+	'droplet power-cycle': {
+		args: ['id'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletPowerCycle(args.id, actionOptions(flags), callback);
+		}
+	},
+	'droplet shutdown': {
+		args: ['id'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletShutdown(args.id, actionOptions(flags), callback);
+		}
+	},
+	'droplet power-off': {
+		args: ['id'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletPowerOff(args.id, actionOptions(flags), callback);
+		}
+	},
+	'droplet power-on': {
+		args: ['id'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletPowerOn(args.id, actionOptions(flags), callback);
+		}
+	},
+	'droplet rename': {
+		args: ['id', 'name'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletRename(args.id, args.name, actionOptions(flags), callback);
+		}
+	},
+	'droplet resize': {
+		args: ['id', 'size'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletResize(args.id, args.size, actionOptions(flags), callback);
+		}
+	},
+	'droplet snapshot': {
+		args: ['id'],
+		usage: '[--name name] [--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletSnapshot(args.id, flags.name ? {name: flags.name} : {}, actionOptions(flags), callback);
+		}
+	},
+	'droplet actions': {
+		args: ['id'],
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.dropletActionGetAll(args.id, callback);
+		}
+	},
+	'image list': {
+		args: [],
+		usage: '[--type distribution|application|mine]',
+		choices: {type: ['distribution', 'application', 'mine']},
+		columns: IMAGE_COLUMNS,
+		run: function(api, args, flags, callback) {
+			var methods = {distribution: 'imageGetDistribution', application: 'imageGetApplication', mine: 'imageGetMine'};
+			api[flags.type ? methods[flags.type] : 'imageGetAll'](callback);
+		}
+	},
+	'image get': {
+		args: ['id'],
+		columns: IMAGE_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.imageGet(args.id, callback);
+		}
+	},
+	'region list': {
+		args: [],
+		columns: ['slug', 'name', 'available'],
+		run: function(api, args, flags, callback) {
+			api.regionGetAll(function(error, body) {
+				callback(error, body && body.regions);
+			});
+		}
+	},
+	'size list': {
+		args: [],
+		columns: ['slug', 'memory', 'vcpus', 'disk', 'price_monthly'],
+		run: function(api, args, flags, callback) {
+			api.sizeGetAll(callback);
+		}
+	},
+	'ssh-key list': {
+		args: [],
+		columns: SSH_KEY_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.sshKeyGetAll(callback);
+		}
+	},
+	'ssh-key get': {
+		args: ['id'],
+		columns: SSH_KEY_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.sshKeyGet(args.id, callback);
+		}
+	},
+	'ssh-key add': {
+		args: ['name', 'file'],
+		columns: SSH_KEY_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.sshKeyEnsure(args.name, fs.readFileSync(args.file, 'utf8'), callback);
+		}
+	},
+	'ssh-key destroy': {
+		args: ['id'],
+		run: function(api, args, flags, callback) {
+			api.sshKeyDestroy(args.id, callback);
+		}
+	},
+	'domain list': {
+		args: [],
+		columns: DOMAIN_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.domainGetAll(callback);
+		}
+	},
+	'domain get': {
+		args: ['name'],
+		columns: DOMAIN_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.domainGet(args.name, callback);
+		}
+	},
+	'domain create': {
+		args: ['name'],
+		usage: '[--ip address]',
+		columns: DOMAIN_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.domainNew(args.name, flags.ip, callback);
+		}
+	},
+	'domain destroy': {
+		args: ['name'],
+		run: function(api, args, flags, callback) {
+			api.domainDestroy(args.name, callback);
+		}
+	},
+	'domain records': {
+		args: ['name'],
+		usage: '[--type type]',
+		columns: RECORD_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.domainRecordGetAll(args.name, flags.type ? {type: flags.type} : {}, callback);
+		}
+	},
+	'domain export': {
+		args: ['name'],
+		raw: true,
+		run: function(api, args, flags, callback) {
+			api.domainExportZone(args.name, callback);
+		}
+	},
+	'action list': {
+		args: [],
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			api.actionsGetAll(callback);
+		}
+	},
+	'action get': {
+		args: ['id'],
+		usage: '[--wait]',
+		columns: ACTION_COLUMNS,
+		run: function(api, args, flags, callback) {
+			if (flags.wait) {
+				return api.waitForAction(args.id, callback);
+			}
+
+			api.actionsGet(args.id, callback);
+		}
+	},
+	'account get': {
+		args: [],
+		columns: ['email', 'status', 'droplet_limit', 'floating_ip_limit', 'email_verified'],
+		run: function(api, args, flags, callback) {
+			api.accountGet(callback);
+		}
+	},
+	'balance get': {
+		args: [],
+		columns: ['month_to_date_balance', 'account_balance', 'month_to_date_usage', 'generated_at'],
+		run: function(api, args, flags, callback) {
+			api.balanceGet(callback);
+		}
+	}
+};
+
+/**
+ * Splits the command line into positional arguments and flags: '--name value', '--name=value', '-o json' and boolean flags.
+ * Throws when a flag that takes a value comes last or is followed by another flag.
+ *
+ * @param {Array}     argv            command line arguments without node and the script
+ * @return {Object} { args: [], flags: {} }
+ */
+var parseArgs = function(argv) {
+	var args = [];
+	var flags = {};
+
+	for (var i = 0; i < argv.length; i++) {
+		var arg = argv[i];
+		var match = /^--([^=]+)(?:=(.*))?$/.exec(arg) || /^-([a-z])$/.exec(arg);
+
+		if (!match) {
+			args.push(arg);
+			continue;
+		}
+
+		var name = SHORT_FLAGS[match[1]] || match[1];
+
+		if (match[2] !== undefined) {
+			flags[name] = match[2];
+		} else if (BOOLEAN_FLAGS.indexOf(name) !== -1) {
+			flags[name] = true;
+		} else if (i + 1 === argv.length || /^--?[a-z]/i.test(argv[i + 1])) {
+			throw new Error('--' + name + ' needs a value');
+		} else {
+			flags[name] = argv[++i];
+		}
+	}
+
+	return {args: args, flags: flags};
+};
+
+/**
+ * Value at a dotted path like 'region.slug' or 'networks.v4.0.ip_address'.
+ *
+ * @private
+ * @param {Object}    object          the object
+ * @param {string}    name            dotted path
+ * @return {*}
+ */
+var pick = function(object, name) {
+	return name.split('.').reduce(function(value, key) {
+		return value === null || value === undefined ? undefined : value[key];
+	}, object);
+};
+
+/**
+ * Table cell text.
+ *
+ * @private
+ * @param {*}         value           the value
+ * @return {string}
+ */
+var cell = function(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+
+	if (Array.isArray(value)) {
+		return value.map(cell).join(',');
+	}
+
+	return typeof value === 'object' ? JSON.stringify(value) : String(value);
+};
+
+/**
+ * Renders a list or a single object as a table with a header line.
+ *
+ * @param {(Array|Object)} data       what to render
+ * @param {Array}     columns         dotted paths of the columns
+ * @return {string}
+ */
+var table = function(data, columns) {
+	var rows = (Array.isArray(data) ? data : [data]).map(function(item) {
+		return columns.map(function(column) {
+			return cell(pick(item, column));
+		});
+	});
+
+	rows.unshift(columns.map(function(column) {
+		return column.toUpperCase().replace(/\./g, '_');
+	}));
+
+	var widths = columns.map(function(column, index) {
+		return Math.max.apply(Math, rows.map(function(row) {
+			return row[index].length;
+		}));
+	});
+
+	return rows.map(function(row) {
+		return row.map(function(text, index) {
+			return index === row.length - 1 ? text : text + new Array(widths[index] - text.length + 3).join(' ');
+		}).join('');
+	}).join('\n') + '\n';
+};
+
+/**
+ * YAML scalar, quoted when it would read as something else.
+ *
+ * @private
+ * @param {*}         value           string, number, boolean or null
+ * @return {string}
+ */
+var yamlScalar = function(value) {
+	if (value === null || value === undefined) {
+		return 'null';
+	}
+
+	if (typeof value !== 'string') {
+		return String(value);
+	}
+
+	if (value === '' || /^[\s\-?:,\[\]{}#&*!|>'"%@`]|[:#]\s|\s$|\n/.test(value) ||
+		/^(true|false|yes|no|on|off|null|~|[-+]?(\d[\d_]*)?\.?\d+([eE][-+]?\d+)?)$/i.test(value)) {
+		return JSON.stringify(value);
+	}
+
+	return value;
+};
+
+/**
+ * Renders a JSON value as YAML.
+ *
+ * @param {*}         value           the value
+ * @param {string}    indent          Optional, indentation of nested lines
+ * @return {string}
+ */
+var yaml = function(value, indent) {
+	indent = indent || '';
+
+	if (Array.isArray(value)) {
+		if (!value.length) {
+			return '[]\n';
+		}
+
+		return value.map(function(item) {
+			var text = yaml(item, indent + '  ');
+			return indent + '- ' + (item && typeof item === 'object' && text !== '[]\n' && text !== '{}\n' ? text.slice(indent.length + 2) : text);
+		}).join('');
+	}
+
+	if (value && typeof value === 'object') {
+		var keys = Object.keys(value);
+
+		if (!keys.length) {
+			return '{}\n';
+		}
+
+		return keys.map(function(key) {
+			var item = value[key];
+			var nested = item && typeof item === 'object' && (Array.isArray(item) ? item.length : Object.keys(item).length);
+
+			return indent + yamlScalar(key) + ':' + (nested ? '\n' + yaml(item, indent + '  ') : ' ' + yaml(item, indent));
+		}).join('');
+	}
+
+	return yamlScalar(value) + '\n';
+};
+
+/**
+ * Exit code for an error.
+ *
+ * @param {Error}     error           the error
+ * @return {number}
+ */
+var exitCode = function(error) {
+	if (error instanceof errors.NotFoundError) {
+		return EXIT_CODES.notFound;
+	}
+
+	if (error instanceof errors.AuthenticationError) {
+		return EXIT_CODES.authentication;
+	}
+
+	if (error instanceof errors.ValidationError) {
+		return EXIT_CODES.validation;
+	}
+
+	return EXIT_CODES.error;
+};
+
+/**
+ * Reads the token from the DIGITALOCEAN_TOKEN environment variable or the config file, --config or
+ * DIGITALOCEAN_CONFIG, ~/.digitalocean.json by default.
+ *
+ * @private
+ * @param {Object}    flags           parsed flags
+ * @param {Object}    env             environment variables
+ * @return {Object} { token, baseUrl }, token is undefined when there is none
+ */
+var readConfig = function(flags, env) {
+	var file = flags.config || env.DIGITALOCEAN_CONFIG || path.join(env.HOME || env.USERPROFILE || '', '.digitalocean.json');
+	var config = {};
+
+	if (fs.existsSync(file)) {
+		config = JSON.parse(fs.readFileSync(file, 'utf8'));
+	} else if (flags.config) {
+		throw new Error('Config file ' + file + ' does not exist');
+	}
+
+	return {
+		token: env.DIGITALOCEAN_TOKEN || config.token,
+		baseUrl: flags['base-url'] || env.DIGITALOCEAN_BASE_URL || config.baseUrl
+	};
+};
+
+/**
+ * Usage text.
+ *
+ * @private
+ * @return {string}
+ */
+var usage = function() {
+	var lines = [
+		'Usage: digitalocean <resource> <command> [arguments] [--output table|json|yaml]',
+		'',
+		'The token is read from DIGITALOCEAN_TOKEN or the "token" of the config file',
+		'(--config, DIGITALOCEAN_CONFIG or ~/.digitalocean.json).',
+		'',
+		'Commands:'
+	];
+
+	Object.keys(COMMANDS).forEach(function(name) {
+		var command = COMMANDS[name];
+		lines.push('  ' + [name].concat(command.args.map(function(arg) {
+			return '<' + arg + '>';
+		}), command.usage ? [command.usage] : []).join(' '));
+	});
+
+	lines.push('', 'Exit codes: 0 success, 1 error, 2 usage, 3 not found, 4 authentication, 5 validation');
+
+	return lines.join('\n') + '\n';
+};
+
+/**
+ * <b>Run the command line interface</b>.
+ * Runs a command like ['droplet', 'reboot', '123', '--wait'] and writes its result to stdout, errors to stderr.
+ * @param {Array}     argv            Required, command line arguments without node and the script
+ * @param {Object}    options         Optional, { env: process.env, stdout: process.stdout, stderr: process.stderr, transport }
+ * @param {Function}  callback        Required, called with the exit code
+ */
+var run = function(argv, options, callback) {
+	options = options || {};
+
+	var env = options.env || process.env;
+	var stdout = options.stdout || process.stdout;
+	var stderr = options.stderr || process.stderr;
+	var parsed;
+	var config;
+
+	var fail = function(code, message) {
+		stderr.write(message + '\n');
+		callback(code);
+	};
+
+	try {
+		parsed = parseArgs(argv);
+	} catch (error) {
+		return fail(EXIT_CODES.usage, error.message);
+	}
+
+	var flags = parsed.flags;
+	var resource = RESOURCES[parsed.args[0]] || parsed.args[0];
+	var name = resource + ' ' + (parsed.args[1] || 'list');
+	var command = COMMANDS[name];
+	var output = flags.output || 'table';
+
+	if (!parsed.args.length || flags.help || parsed.args[0] === 'help') {
+		stdout.write(usage());
+		return callback(parsed.args.length || flags.help ? EXIT_CODES.ok : EXIT_CODES.usage);
+	}
+
+	if (!command) {
+		return fail(EXIT_CODES.usage, 'Unknown command "' + parsed.args.slice(0, 2).join(' ') + '", see digitalocean help');
+	}
+
+	if (OUTPUTS.indexOf(output) === -1) {
+		return fail(EXIT_CODES.usage, '--output must be one of ' + OUTPUTS.join(', '));
+	}
+
+	var values = parsed.args.slice(2);
+
+	if (values.length < command.args.length) {
+		return fail(EXIT_CODES.usage, 'Usage: digitalocean ' + name + ' ' + command.args.map(function(arg) {
+			return '<' + arg + '>';
+		}).join(' ') + (command.usage ? ' ' + command.usage : ''));
+	}
+
+	var missing = (command.flags || []).filter(function(flag) {
+		return flags[flag] === undefined || flags[flag] === true;
+	});
+
+	if (missing.length) {
+		return fail(EXIT_CODES.usage, name + ' needs ' + missing.map(function(flag) {
+			return '--' + flag;
+		}).join(', '));
+	}
+
+	var invalid = Object.keys(command.choices || {}).filter(function(flag) {
+		return flags[flag] !== undefined && command.choices[flag].indexOf(flags[flag]) === -1;
+	});
+
+	if (invalid.length) {
+		return fail(EXIT_CODES.usage, '--' + invalid[0] + ' must be one of ' + command.choices[invalid[0]].join(', '));
+	}
+
+	try {
+		config = readConfig(flags, env);
+	} catch (error) {
+		return fail(EXIT_CODES.usage, error.message);
+	}
+
+	if (!config.token) {
+		return fail(EXIT_CODES.authentication, 'No token, set DIGITALOCEAN_TOKEN or the "token" of ~/.digitalocean.json');
+	}
+
+	var api = new Digitalocean(config.token, {baseUrl: config.baseUrl, transport: options.transport});
+	var args = {};
+
+	command.args.forEach(function(arg, index) {
+		args[arg] = values[index];
+	});
+
+	var done = function(error, data) {
+		if (error) {
+			return fail(exitCode(error), error.name + ': ' + error.message);
+		}
+
+		if (command.raw) {
+			stdout.write(data);
+		} else if (output === 'json') {
+			stdout.write(JSON.stringify(data === undefined ? null : data, null, 2) + '\n');
+		} else if (output === 'yaml') {
+			stdout.write(yaml(data === undefined ? null : data));
+		} else if (data !== undefined && command.columns) {
+			stdout.write(table(data, command.columns));
+		}
+
+		callback(EXIT_CODES.ok);
+	};
+
+	var start = function() {
+		try {
+			command.run(api, args, flags, done);
+		} catch (error) {
+			done(error);
+		}
+	};
+
+	if (resource !== 'droplet' || args.id === undefined || /^\d+$/.test(args.id)) {
+		return start();
+	}
+
+	api.dropletResolve(args.id, function(error, droplet) {
+		if (error) {
+			return done(error);
+		}
+
+		args.id = droplet.id;
+		start();
+	});
+};
+
+module.exports = {
+	EXIT_CODES: EXIT_CODES,
+	parseArgs: parseArgs,
+	table: table,
+	yaml: yaml,
+	exitCode: exitCode,
+	run: run
+};
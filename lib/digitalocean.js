@@ -1,704 +1,3690 @@
 var extend = require('xtend');
 var request = require('request');
 var querystring = require('querystring');
+var parseUrl = require('url').parse;
+var errors = require('./errors');
+var Throttle = require('./throttle');
+var Cache = require('./cache');
+var firewallRules = require('./firewall');
+var records = require('./records');
+var zone = require('./zone');
+var sshKey = require('./sshkey');
+var fixtures = require('./fixtures');
+var plans = require('./plan');
+var audit = require('./audit');
 
 var API_URL = 'https://api.digitalocean.com/v2';
-var PromiseRetryer = require('promise-retryer')(Promise);
+var USER_AGENT = 'digitalocean-api/' + require('../package.json').version;
+var CLIENT_DEFAULTS = {
+	baseUrl: API_URL,
+	strictSSL: true,
+	timeout: 60000,
+	userAgent: USER_AGENT,
+	proxy: undefined,
+	transport: request,
+	checkDropletLimit: false,
+	validateDroplets: false,
+	onWarning: null,
+	dryRun: false,
+	audit: null
+};
+var MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+var HOSTNAME = /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+var FINGERPRINT = /^(MD5:)?([0-9a-f]{2}:){15}[0-9a-f]{2}$/i;
+var INVOICE_FORMATS = ['csv', 'pdf'];
+var PER_PAGE = 200;
+var WAIT_INTERVAL = 5000;
+var WAIT_TIMEOUT = 10 * 60 * 1000;
+var RETRY_POLICY = {
+	retries: 10,
+	methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+	statusCodes: [408, 429, 500, 502, 503, 504],
+	errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT', 'EPIPE', 'EAI_AGAIN'],
+	minDelay: 1000,
+	maxDelay: 30000,
+	factor: 2,
+	jitter: true,
+	onRetry: null
+};
+var DROPLET_BATCH = 10;
+var CONCURRENCY = 5;
+var SYNC_METHODS = ['withOptions'];
 var debug = require('debug')('http');
 var colors = require('colors');
 
 /**
- * <b>Digitalocean API Client</b>.
- * @constructor
- * @param {string}    token        Your account's DigitalOcean OAuth Token
- * @author Matěj Šimek <email@matejsimek.cz> (www.matejsimek.cz)
+ * <b>Digitalocean API Client</b>.
+ * Options are<br>
+ * - baseUrl, root of the API, 'https://api.digitalocean.com/v2' by default<br>
+ * - strictSSL, whether to verify the server's certificate, true by default<br>
+ * - timeout, milliseconds to wait for a response, 60000 by default<br>
+ * - userAgent, User-Agent header, 'digitalocean-api/&lt;version&gt;' by default<br>
+ * - proxy, HTTP(S) proxy URL, the HTTP_PROXY and HTTPS_PROXY environment variables are used by default<br>
+ * - transport, function(options, callback) with the interface of the request module, which it defaults to<br>
+ * - checkDropletLimit, whether dropletNew and dropletNewMany warn when they would exceed the account's droplet limit, false by default<br>
+ * - validateDroplets, whether dropletNew and dropletNewMany check the names against hostname rules and the region, size and
+ *   image against regionGetAll, sizeGetAll and imageGet before creating droplets, false by default<br>
+ * - onWarning, function(message) the warnings go to, console.warn by default<br>
+ * - dryRun, true or function(entry), instead of sending POST, PUT, PATCH and DELETE requests passes them to the function,
+ *   printing them by default, and answers them with a made up result<br>
+ * - audit, function(entry) called after every POST, PUT, PATCH and DELETE request with
+ *   { timestamp, method, path, body, outcome, statusCode, requestId, error, attempts, dryRun }, the body redacted<br>
+ * - retry, retry policy, see withOptions<br>
+ * - throttle, { concurrency, rate, interval, burst } or a Throttle shared between clients, queues requests and holds them
+ *   back once the rate limit is used up until it resets<br>
+ * - cache, true, { ttl, store } or a Cache shared between clients, keeps the responses of read-mostly resources like regions,
+ *   sizes and images, see Cache<br>
+ * The client's rateLimit holds { limit, remaining, reset } from the last response's headers.
+ * @constructor
+ * @param {string}    token        Your account's DigitalOcean OAuth Token
+ * @param {Object}    options      Optional, { baseUrl, strictSSL, timeout, userAgent, proxy, transport, checkDropletLimit, validateDroplets, onWarning, dryRun, audit, retry, throttle, cache }
+ * @author Matěj Šimek <email@matejsimek.cz> (www.matejsimek.cz)
+ */
+var Digitalocean = function(token, options) {
+	options = options || {};
+
+	this.token = token;
+	this.retry = RETRY_POLICY;
+	this.rateLimit = {limit: null, remaining: null, reset: null};
+	this.throttle = options.throttle && (options.throttle instanceof Throttle ? options.throttle : new Throttle(options.throttle));
+	this.cache = null;
+
+	configure(configure(this, CLIENT_DEFAULTS), options);
+};
+module.exports = Digitalocean;
+
+/**
+ * Error classes passed by the client: DigitalOceanError and its subclasses NotFoundError, RateLimitError,
+ * AuthenticationError, ValidationError and NetworkError.
+ * @memberof Digitalocean
+ */
+Digitalocean.errors = errors;
+
+/**
+ * Throttle class, to share one throttle between several clients.
+ * @memberof Digitalocean
+ */
+Digitalocean.Throttle = Throttle;
+
+/**
+ * Cache class, to share one cache between several clients, with its default store Cache.MemoryStore.
+ * @memberof Digitalocean
+ */
+Digitalocean.Cache = Cache;
+
+/**
+ * Firewall rule builder: allowInbound(protocol, ports).from(sources) and allowOutbound(protocol, ports).to(destinations).
+ * @memberof Digitalocean
+ */
+Digitalocean.firewall = firewallRules;
+
+/**
+ * BIND zone file parser and serializer: parse(text, domain) and serialize(domain, records).
+ * @memberof Digitalocean
+ */
+Digitalocean.zone = zone;
+
+/**
+ * OpenSSH public key helpers: parse(publicKey) and fingerprint(publicKey).
+ * @memberof Digitalocean
+ */
+Digitalocean.sshKey = sshKey;
+
+/**
+ * In-memory mock of the API for running code and tests offline, point baseUrl at its url.
+ * It's only loaded when it's used, so clients don't carry it.
+ * @memberof Digitalocean
+ */
+Object.defineProperty(Digitalocean, 'MockServer', {
+	enumerable: true,
+	get: function() {
+		return require('./mockserver');
+	}
+});
+
+/**
+ * Transports recording requests to a fixture file and replaying them from it: record(file, [transport]) and replay(file).
+ * @memberof Digitalocean
+ */
+Digitalocean.fixtures = fixtures;
+
+/**
+ * Plan helpers used by plan and apply: diff(current, spec, options) and format(plan), rendering a plan as text.
+ * @memberof Digitalocean
+ */
+Digitalocean.plan = plans;
+
+/**
+ * Audit helpers: jsonLines(file), a sink appending entries to a file, print(entry), the default dry run output, and redact(body).
+ * @memberof Digitalocean
+ */
+Digitalocean.audit = audit;
+
+/**
+ * Merges a retry option into a policy, false turns retries off.
+ *
+ * @private
+ * @param {Object}    policy          the policy to extend
+ * @param {(Object|boolean)} retry    Optional, policy overrides
+ * @return {Object}
+ */
+var retryPolicy = function(policy, retry) {
+	if (retry === false) {
+		return extend(policy, {retries: 0});
+	}
+
+	return extend(policy, retry);
+};
+
+/**
+ * Applies the given client options, leaving out the undefined ones.
+ *
+ * @private
+ * @param {Digitalocean} client       the client to configure
+ * @param {Object}    options         client options
+ * @return {Digitalocean}
+ */
+var configure = function(client, options) {
+	Object.keys(CLIENT_DEFAULTS).forEach(function(name) {
+		if (options[name] !== undefined) {
+			client[name] = options[name];
+		}
+	});
+
+	client.retry = retryPolicy(client.retry, options.retry);
+
+	if (options.cache !== undefined) {
+		client.cache = options.cache ? (options.cache instanceof Cache ? options.cache : new Cache(options.cache === true ? {} : options.cache)) : null;
+	}
+
+	return client;
+};
+
+/**
+ * Whether a tag name is valid: up to 255 letters, numbers, colons, dashes and underscores.
+ *
+ * @private
+ * @param {string}    name            tag name
+ * @return {boolean}
+ */
+var isTagName = function(name) {
+	return typeof name === 'string' && /^[a-zA-Z0-9_\-:]{1,255}$/.test(name);
+};
+
+/**
+ * Turns droplet ids into tag resources, passing resources given as objects through.
+ *
+ * @private
+ * @param {Array}     resources       droplet ids or { resource_id, resource_type }
+ * @return {Array}
+ */
+var tagResourceList = function(resources) {
+	return resources.map(function(resource) {
+		return typeof resource === 'object' ? resource : {resource_id: String(resource), resource_type: 'droplet'};
+	});
+};
+
+/**
+ * SSH key id or fingerprint as used in the API's paths, dropping the 'MD5:' prefix ssh-keygen prints.
+ *
+ * @private
+ * @param {(number|string)} id        id or fingerprint
+ * @return {string}
+ */
+var sshKeyId = function(id) {
+	return String(id).replace(/^MD5:/i, '');
+};
+
+/**
+ * Whether a value is an id rather than a name or slug.
+ *
+ * @private
+ * @param {(number|string)} value     id, name or slug
+ * @return {boolean}
+ */
+var isId = function(value) {
+	return typeof value === 'number' || /^\d+$/.test(value);
+};
+
+/**
+ * Passes the only item with the given name, a NotFoundError when there is none and a ValidationError when there are several.
+ *
+ * @private
+ * @param {Array}     items           items to search
+ * @param {string}    name            name to look for
+ * @param {string}    kind            what the items are, for the error messages
+ * @param {Function}  callback        called with (error, item)
+ */
+var byName = function(items, name, kind, callback) {
+	var matches = items.filter(function(item) {
+		return item.name === name;
+	});
+
+	if (!matches.length) {
+		return callback(new errors.NotFoundError('No ' + kind + ' is named "' + name + '"', {id: 'not_found'}));
+	}
+
+	if (matches.length > 1) {
+		return callback(new errors.ValidationError(matches.length + ' ' + kind + 's are named "' + name + '", use an id'));
+	}
+
+	callback(null, matches[0]);
+};
+
+/**
+ * Runs asynchronous tasks one after another, stopping at the first error.
+ *
+ * @private
+ * @param {Array}     tasks           functions taking a callback(error)
+ * @param {Function}  callback        called with (error)
+ */
+var series = function(tasks, callback) {
+	var run = function(index) {
+		if (index === tasks.length) {
+			return callback(null);
+		}
+
+		tasks[index](function(error) {
+			if (error) {
+				return callback(error);
+			}
+
+			run(index + 1);
+		});
+	};
+
+	run(0);
+};
+
+/**
+ * Calls the iterator for every item with at most `limit` calls running at once. The iterator gets (item, index, done)
+ * and reports through done(result), the callback receives the results in the order of the items.
+ *
+ * @private
+ * @param {Array}     items           items to go through
+ * @param {number}    limit           maximum of iterator calls running at once
+ * @param {Function}  iterator        function(item, index, done)
+ * @param {Function}  callback        function(results)
+ */
+var eachLimit = function(items, limit, iterator, callback) {
+	var results = [];
+	var started = 0;
+	var finished = 0;
+
+	if (!items.length) {
+		return process.nextTick(function() {
+			callback(results);
+		});
+	}
+
+	var start = function() {
+		var index = started++;
+
+		iterator(items[index], index, function(result) {
+			results[index] = result;
+			finished++;
+
+			if (finished === items.length) {
+				return callback(results);
+			}
+
+			if (started < items.length) {
+				start();
+			}
+		});
+	};
+
+	while (started < Math.min(limit, items.length)) {
+		start();
+	}
+};
+
+/**
+ * Parses a JSON body received as a Buffer, null when it isn't JSON.
+ *
+ * @private
+ * @param {Buffer}    body            response body
+ * @return {?Object}
+ */
+var parseJson = function(body) {
+	try {
+		return JSON.parse(String(body));
+	} catch (error) {
+		return null;
+	}
+};
+
+/**
+ * Passes an audit entry to a sink. A sink throwing, e.g. a file that can't be written, only gives a warning so the
+ * request's callback still runs.
+ *
+ * @private
+ * @param {Digitalocean} client       the client, for its onWarning
+ * @param {Function}  sink            function(entry)
+ * @param {Object}    entry           the audit entry
+ */
+var report = function(client, sink, entry) {
+	try {
+		sink(entry);
+	} catch (error) {
+		(client.onWarning || console.warn)('Could not record ' + entry.method + ' ' + entry.path + ': ' + error.message);
+	}
+};
+
+/**
+ * Made up response body of a dry run request: the form as the required resource, with a null id and dry_run set.
+ * A droplet list gets one droplet per name, an action list one action per droplet in matched.
+ *
+ * @private
+ * @param {Object}    form            request body
+ * @param {string}    required        key the response body must have
+ * @param {Array}     matched         Optional, droplets an action list is for
+ * @return {Object}
+ */
+var dryRunBody = function(form, required, matched) {
+	var body = {};
+	var fields = extend(form, {id: null, dry_run: true});
+
+	if (required === 'droplets') {
+		delete fields.names;
+		body.droplets = (form.names || []).map(function(name) {
+			return extend(fields, {name: name});
+		});
+	} else if (required === 'actions') {
+		body.actions = (matched || []).map(function(droplet) {
+			return extend(fields, {resource_type: 'droplet', resource_id: droplet.id});
+		});
+	} else if (required) {
+		body[required] = fields;
+	}
+
+	return body;
+};
+
+/**
+ * Milliseconds to wait until a server directed retry, from Retry-After or, for 429, RateLimit-Reset.
+ *
+ * @private
+ * @param {Object}    error           failed request with statusCode and headers
+ * @return {?number}
+ */
+var serverDelay = function(error) {
+	var headers = error.headers || {};
+	var retryAfter = headers['retry-after'];
+
+	if (retryAfter) {
+		var seconds = Number(retryAfter);
+		return Math.max(0, isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000);
+	}
+
+	if (error.statusCode === 429 && headers['ratelimit-reset']) {
+		return Math.max(0, Number(headers['ratelimit-reset']) * 1000 - Date.now());
+	}
+
+	return null;
+};
+
+/**
+ * Milliseconds to wait before retrying a failed attempt, false when it must not be retried.
+ * A server directed delay longer than maxDelay isn't waited for, the error is passed instead.
+ *
+ * @private
+ * @param {Object}    policy          retry policy
+ * @param {string}    method          HTTP method of the request
+ * @param {Error}     error           error of the failed attempt
+ * @param {number}    attempt         number of the failed attempt
+ * @return {(number|boolean)}
+ */
+var retryDelay = function(policy, method, error, attempt) {
+	if (attempt > policy.retries) {
+		return false;
+	}
+
+	if (error.statusCode ? policy.statusCodes.indexOf(error.statusCode) === -1 : policy.errorCodes.indexOf(error.code) === -1) {
+		return false;
+	}
+
+	// a request rejected with 429 was never processed, so it's safe to repeat whatever the method
+	if (error.statusCode !== 429 && policy.methods.indexOf(method) === -1) {
+		return false;
+	}
+
+	var delay = serverDelay(error);
+
+	if (delay !== null) {
+		return delay <= policy.maxDelay ? delay : false;
+	}
+
+	delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+
+	return policy.jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
+};
+
+/**
+ * <b>Client with overridden options</b>.
+ * Returns a client sharing this one's state with some options overridden, to change them for a single call.
+ * It takes the constructor's options. The retry option is a policy like { retries: 10, methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'], statusCodes: [408, 429, 500, 502, 503, 504],
+ * errorCodes: ['ECONNRESET', ...], minDelay: 1000, maxDelay: 30000, factor: 2, jitter: true, onRetry: function(error, info) {} },
+ * or false to turn retries off. onRetry receives { attempt, delay, method, url } and may return false to cancel the retry.
+ * @param {Object}    options         Required, { baseUrl, strictSSL, timeout, userAgent, proxy, transport, validateDroplets, dryRun, audit, retry, cache }
+ * @return {Digitalocean}
+ * @memberof Digitalocean
+ * @method withOptions
+ */
+Digitalocean.prototype.withOptions = function(options) {
+	return configure(Object.create(this), options);
+};
+
+/**
+ * <b>Helper to handle requests to the API with authorization</b>.
+ *
+ * @private
+ * @param {string}    url             address part after API root
+ * @param {Object}    parameters      additional parameters
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method get
+ */
+Digitalocean.prototype._get = function(url, parameters, callback, required) {
+	this._request('GET', url, parameters, null, callback, required);
+}
+
+Digitalocean.prototype._post = function(url, form, callback, required) {
+	this._request('POST', url, {}, form, callback, required);
+}
+
+Digitalocean.prototype._delete = function(url, form, callback, required) {
+	this._request('DELETE', url, {}, form, callback, required);
+}
+
+Digitalocean.prototype._put = function(url, form, callback, required) {
+	this._request('PUT', url, {}, form, callback, required);
+}
+
+/**
+ * <b>Helper to fetch every page of a collection</b>.
+ * Follows the `links.pages.next` cursor until the last page. Passing `page` fetches only that page,
+ * passing an `onPage(items, meta)` function streams each page to it instead of collecting them (return false to stop).
+ *
+ * @private
+ * @param {string}    url             address part after API root
+ * @param {Object}    parameters      additional parameters, may contain `page`, `per_page` and `onPage`
+ * @param {string}    key             name of the collection in the response body
+ * @callback          complete        called with (error, items, meta)
+ * @memberof Digitalocean
+ * @method _getAll
+ */
+Digitalocean.prototype._getAll = function(url, parameters, key, callback) {
+	var self = this;
+	parameters = extend({}, parameters);
+
+	var onPage = parameters.onPage;
+	var singlePage = parameters.page !== undefined;
+	var items = onPage ? undefined : [];
+	delete parameters.onPage;
+
+	if (!parameters.per_page) {
+		parameters.per_page = PER_PAGE;
+	}
+
+	var fetchPage = function(pageParameters) {
+		self._get(url, pageParameters, function(error, body) {
+			if (error) {
+				return callback(error);
+			}
+
+			var pageItems = body[key] || [];
+			var meta = body.meta || {};
+			var next = body.links && body.links.pages && body.links.pages.next;
+
+			if (onPage) {
+				if (onPage(pageItems, meta) === false) {
+					next = null;
+				}
+			} else {
+				items.push.apply(items, pageItems);
+			}
+
+			if (singlePage || !next || !pageItems.length) {
+				return callback(null, items, meta);
+			}
+
+			var query = parseUrl(next, true).query;
+			var nextParameters = extend(pageParameters);
+			Object.keys(query).forEach(function(name) {
+				nextParameters[name] = query[name];
+			});
+
+			fetchPage(nextParameters);
+		}, key);
+	};
+
+	fetchPage(parameters);
+};
+
+/**
+ * <b>Helper to post an action and optionally wait for it to complete</b>.
+ *
+ * @private
+ * @param {string}    url             address part after API root
+ * @param {Object}    form            action type and its attributes
+ * @param {Object}    options         { wait, interval, timeout }
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method _action
+ */
+Digitalocean.prototype._action = function(url, form, options, callback) {
+	var self = this;
+	options = options || {};
+
+	this._post(url, form, function(error, body) {
+		if (error || !options.wait || body.action.dry_run) {
+			return callback(error, body && body.action);
+		}
+
+		self.waitForAction(body.action, options, callback);
+	}, 'action');
+};
+
+/**
+ * <b>Helper to run a droplet action on every droplet carrying a tag</b>.
+ *
+ * @private
+ * @param {string}    tagName         name of the tag
+ * @param {Object}    form            action type and its attributes
+ * @param {Object}    options         { wait, interval, timeout }
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method _tagAction
+ */
+Digitalocean.prototype._tagAction = function(tagName, form, options, callback) {
+	var self = this;
+	options = options || {};
+
+	var send = function(matched) {
+		self._request('POST', 'droplets/actions', {tag_name: tagName}, form, function(error, body) {
+			if (error || !options.wait || !body.actions.length || body.actions[0].dry_run) {
+				return callback(error, body && body.actions);
+			}
+
+			var actions = [];
+			var pending = body.actions.length;
+			var failed = false;
+
+			body.actions.forEach(function(action, index) {
+				self.waitForAction(action, options, function(error, action) {
+					if (failed) {
+						return;
+					}
+
+					if (error) {
+						failed = true;
+						return callback(error);
+					}
+
+					actions[index] = action;
+
+					if (--pending === 0) {
+						callback(null, actions);
+					}
+				});
+			});
+		}, 'actions', false, matched);
+	};
+
+	if (!this.dryRun) {
+		return send();
+	}
+
+	// a dry run makes up an action for every droplet carrying the tag
+	this.dropletGetAll({tag_name: tagName}, function(error, droplets) {
+		if (error) {
+			return callback(error);
+		}
+
+		send(droplets);
+	});
+};
+
+/**
+ * <b>Helper to warn when new droplets would exceed the droplet limit</b>.
+ * Only runs with the checkDropletLimit option, it never fails: when the account can't be read there is no warning.
+ *
+ * @private
+ * @param {number}    count           number of droplets about to be created
+ * @callback          complete        called without arguments once the check is done
+ * @memberof Digitalocean
+ * @method _checkDropletLimit
+ */
+Digitalocean.prototype._checkDropletLimit = function(count, callback) {
+	var self = this;
+
+	if (!this.checkDropletLimit) {
+		return callback();
+	}
+
+	this.accountGet(function(error, account) {
+		if (error || !account.droplet_limit) {
+			return callback();
+		}
+
+		self.dropletGetAll({page: 1, per_page: 1}, function(error, droplets, meta) {
+			if (!error && meta.total + count > account.droplet_limit) {
+				(self.onWarning || console.warn)('Creating ' + count + ' droplet(s) would exceed the droplet limit of ' +
+					account.droplet_limit + ', ' + meta.total + ' droplet(s) exist already');
+			}
+
+			callback();
+		});
+	});
+};
+
+/**
+ * <b>Helper to prepare the form of new droplets</b>.
+ * Replaces SSH key names with their ids and, with the validateDroplets option, validates the droplets.
+ *
+ * @private
+ * @param {Array}     names           names of the droplets
+ * @param {Object}    form            request body with region, size, image and ssh_keys
+ * @callback          complete        called with (error, form)
+ * @memberof Digitalocean
+ * @method _prepareDroplets
+ */
+Digitalocean.prototype._prepareDroplets = function(names, form, callback) {
+	var self = this;
+	var keys = (form.ssh_keys || []).slice();
+	var named = keys.filter(function(key) {
+		return !isId(key) && !FINGERPRINT.test(key);
+	});
+
+	series([
+		function(next) {
+			if (!named.length) {
+				return next(null);
+			}
+
+			self.sshKeyGetAll(function(error, sshKeys) {
+				if (error) {
+					return next(error);
+				}
+
+				series(keys.map(function(key, index) {
+					return function(done) {
+						if (named.indexOf(key) === -1) {
+							return done(null);
+						}
+
+						byName(sshKeys, key, 'SSH key', function(error, sshKey) {
+							keys[index] = sshKey && sshKey.id;
+							done(error);
+						});
+					};
+				}), function(error) {
+					form = extend(form, {ssh_keys: keys});
+					next(error);
+				});
+			});
+		},
+		function(next) {
+			if (!self.validateDroplets) {
+				return next(null);
+			}
+
+			self._validateDroplets(names, form, next);
+		}
+	], function(error) {
+		callback(error, error ? undefined : form);
+	});
+};
+
+/**
+ * <b>Helper to validate new droplets</b>.
+ * Checks the names against hostname rules, then that the region exists, the size is available in it and the image too.
+ * The problems found are passed as a ValidationError, their list as its problems.
+ *
+ * @private
+ * @param {Array}     names           names of the droplets
+ * @param {Object}    form            request body with region, size and image
+ * @callback          complete        called with (error)
+ * @memberof Digitalocean
+ * @method _validateDroplets
+ */
+Digitalocean.prototype._validateDroplets = function(names, form, callback) {
+	var self = this;
+	var problems = [];
+	var region, size, image;
+
+	names.forEach(function(name) {
+		if (typeof name !== 'string' || !HOSTNAME.test(name)) {
+			problems.push('"' + name + '" is not a valid hostname, use letters, numbers, dashes and dots');
+		}
+	});
+
+	if (problems.length) {
+		return process.nextTick(function() {
+			callback(new errors.ValidationError(problems.join(', '), {problems: problems}));
+		});
+	}
+
+	series([
+		function(next) {
+			self.regionGetAll(function(error, body) {
+				region = !error && body.regions.filter(function(region) {
+					return region.slug === form.region;
+				})[0];
+				next(error);
+			});
+		},
+		function(next) {
+			self.sizeGetAll(function(error, sizes) {
+				size = !error && sizes.filter(function(size) {
+					return size.slug === form.size;
+				})[0];
+				next(error);
+			});
+		},
+		function(next) {
+			self.imageGet(form.image, function(error, found) {
+				image = found;
+				next(error instanceof errors.NotFoundError ? null : error);
+			});
+		}
+	], function(error) {
+		if (error) {
+			return callback(error);
+		}
+
+		if (!region) {
+			problems.push('unknown region "' + form.region + '"');
+		} else if (region.available === false) {
+			problems.push('region ' + form.region + ' is not available');
+		}
+
+		if (!size) {
+			problems.push('unknown size "' + form.size + '"');
+		} else if (size.available === false || (region && (region.sizes || []).indexOf(size.slug) === -1)) {
+			problems.push('size ' + form.size + ' is not available' + (region ? ' in ' + form.region : ''));
+		}
+
+		if (!image) {
+			problems.push('unknown image "' + form.image + '"');
+		} else if (region && image.regions && image.regions.indexOf(region.slug) === -1) {
+			problems.push('image ' + form.image + ' is not available in ' + form.region);
+		}
+
+		callback(problems.length ? new errors.ValidationError(problems.join(', '), {problems: problems}) : null);
+	});
+};
+
+/**
+ * <b>Helper to repeat a check until it is done</b>.
+ * The check is called with next(error, done, value), the callback receives (error, value, timedOut).
+ *
+ * @private
+ * @param {Function}  check           called on every attempt
+ * @param {Object}    options         { interval, timeout }, timeout of 0 waits forever
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method _poll
+ */
+Digitalocean.prototype._poll = function(check, options, callback) {
+	options = extend({interval: WAIT_INTERVAL, timeout: WAIT_TIMEOUT}, options);
+	var deadline = Date.now() + options.timeout;
+
+	var attempt = function() {
+		check(function(error, done, value) {
+			if (error || done) {
+				return callback(error, value, false);
+			}
+
+			if (options.timeout && Date.now() + options.interval > deadline) {
+				return callback(null, value, true);
+			}
+
+			setTimeout(attempt, options.interval);
+		});
+	};
+
+	attempt();
+};
+
+/**
+ * <b>Helper to send a single HTTP request</b>.
+ * Goes through the cache and the throttle when there are ones and keeps rateLimit up to date from the response headers.
+ *
+ * @private
+ * @param {Object}    options         request options for the transport
+ * @callback          complete        called with (error, response, body)
+ * @memberof Digitalocean
+ * @method _send
+ */
+Digitalocean.prototype._send = function(options, callback) {
+	var self = this;
+
+	var transport = function(options, callback) {
+		if (self.throttle) {
+			self.throttle.schedule(function(done) {
+				send(options, done, callback);
+			});
+		} else {
+			send(options, function() {}, callback);
+		}
+	};
+
+	var send = function(options, done, callback) {
+		self.transport(options, function(error, response, body) {
+			var headers = response && response.headers || {};
+
+			if (headers['ratelimit-limit'] !== undefined) {
+				self.rateLimit.limit = Number(headers['ratelimit-limit']);
+				self.rateLimit.remaining = Number(headers['ratelimit-remaining']);
+				self.rateLimit.reset = Number(headers['ratelimit-reset']);
+
+				if (self.throttle && self.rateLimit.remaining === 0) {
+					self.throttle.pauseUntil(self.rateLimit.reset * 1000);
+				}
+			}
+
+			done();
+			callback(error, response, body);
+		});
+	};
+
+	if (this.cache) {
+		var path = options.url.slice(this.baseUrl.replace(/\/+$/, '').length + 1);
+		this.cache.send(path.split(/[\/?]/)[0], options, transport, callback);
+	} else {
+		transport(options, callback);
+	}
+};
+
+/**
+ * <b>Helper to send a request</b>, retrying it as the retry policy allows.
+ *
+ * @private
+ * @param {string}    method          HTTP method
+ * @param {string}    url             address part after API root
+ * @param {Object}    parameters      query string parameters
+ * @param {Object}    form            JSON body
+ * @callback          complete        called with (error, body)
+ * @param {string}    required        Optional, key the response body must have
+ * @param {boolean}   raw             Optional, pass the body as a Buffer instead of parsing it as JSON
+ * @param {Array}     matched         Optional, droplets a dry run's made up action list is for
+ * @memberof Digitalocean
+ * @method _request
+ */
+Digitalocean.prototype._request = function(method, url, parameters, form, callback, required, raw, matched) {
+	parameters = extend({}, parameters);
+	form = extend({}, form);
+
+	var getURL = this.baseUrl.replace(/\/+$/, '') + '/' + url + '?' + querystring.stringify(parameters); // Construct URL with parameters
+	var self = this;
+	var retry = this.retry;
+	var lastResponse = null;
+	var attempts = 0;
+
+	if (MUTATING_METHODS.indexOf(method) !== -1 && (this.audit || this.dryRun)) {
+		var done = callback;
+		var query = querystring.stringify(parameters);
+		var entry = {
+			timestamp: new Date().toISOString(),
+			method: method,
+			path: '/' + url + (query ? '?' + query : ''),
+			body: audit.redact(form),
+			dryRun: !!this.dryRun
+		};
+
+		if (this.dryRun) {
+			entry.outcome = 'dry-run';
+			report(this, typeof this.dryRun === 'function' ? this.dryRun : audit.print, entry);
+
+			if (this.audit) {
+				report(this, this.audit, entry);
+			}
+
+			return process.nextTick(function() {
+				done(null, dryRunBody(form, required, matched));
+			});
+		}
+
+		callback = function(error, body) {
+			var headers = lastResponse && lastResponse.headers || {};
+
+			entry.outcome = error ? 'error' : 'success';
+			entry.statusCode = lastResponse ? lastResponse.statusCode : null;
+			entry.requestId = headers['x-request-id'] || null;
+			entry.error = error ? error.message : null;
+			entry.attempts = attempts;
+			report(self, self.audit, entry);
+
+			done(error, body);
+		};
+	}
+
+	var attempt = function(number) {
+		attempts = number;
+		debug(('[DO API #' + number + '] ' + method + ' "' + getURL + '"')[number > 1 ? 'red' : 'grey']);
+
+		self._send(
+			{
+				method: method,
+				url: getURL,
+				strictSSL: self.strictSSL,
+				timeout: self.timeout,
+				proxy: self.proxy,
+				json: !raw,
+				encoding: raw ? null : undefined,
+				headers: {
+					Authorization: "Bearer " + self.token,
+					'User-Agent': self.userAgent
+				},
+				body: raw ? undefined : form
+			},
+			function(error, response, body) {
+				lastResponse = response || null;
+
+				if (raw && !error && (response.statusCode < 200 || response.statusCode > 299)) {
+					body = parseJson(body);
+				}
+
+				if (error) {
+					error = errors.fromNetworkError(error);
+				} else if (response.statusCode < 200 || response.statusCode > 299) {
+					error = errors.fromResponse(response, body);
+				} else if (required && !(body && body[required])) {
+					error = errors.fromResponse(response, body, 'Response is missing "' + required + '"');
+				}
+
+				if (!error) {
+					return callback(null, raw ? body : body || {});
+				}
+
+				var delay = retryDelay(retry, method, error, number);
+
+				if (delay === false || (retry.onRetry && retry.onRetry(error, {attempt: number, delay: delay, method: method, url: url}) === false)) {
+					return callback(error);
+				}
+
+				setTimeout(function() {
+					attempt(number + 1);
+				}, delay);
+			}
+		);
+	};
+
+	attempt(1);
+};
+
+/**
+ * <b>Show All Active Droplets</b>.
+ * This method returns all active droplets that are currently running in your account. All available API information is presented for each droplet.
+ * @param {Object}    parameters      Optional, { tag_name, page, per_page, onPage }, every page is fetched unless page is given
+ * @callback   complete
+ * @memberof Digitalocean
+ * @method dropletGetAll
+ */
+Digitalocean.prototype.dropletGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('droplets/', parameters, 'droplets', callback);
+};
+
+/**
+ * <b>New Droplet</b>.
+ * This method allows you to create a new droplet. See the required parameters section below for an explanation of the variables that are needed to create a new droplet.
+ * SSH keys may be given by id, fingerprint or name. With the validateDroplets option the droplet is validated first, see the constructor.
+ * @param {string}    name            Required, this is the name of the droplet - must be formatted by hostname rules
+ * @param {number}    sizeId          Required, this is the id of the size you would like the droplet created at
+ * @param {number}    imageId         Required, this is the id of the image you would like the droplet created with
+ * @param {number}    regionId        Required, this is the id of the region you would like your server in IE: US/Amsterdam
+ * @param {Object}    optionals       Optional, { ssh_keys: [], private_networking: false, backups: false, tags: [] }, ssh_keys being ids, fingerprints or names
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletNew
+ */
+Digitalocean.prototype.dropletNew = function(name, region, size, image, optionals, callback) {
+	var self = this;
+
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	var options = {
+		name: name,
+		region: region,
+		size: size,
+		image: image
+	};
+	options = extend(options, optionals);
+
+	if (options.tags !== undefined && !(Array.isArray(options.tags) && options.tags.every(isTagName))) {
+		return process.nextTick(function() {
+			callback(new errors.ValidationError('tags must be an array of tag names made of letters, numbers, colons, dashes and underscores'));
+		});
+	}
+
+	this._prepareDroplets([name], options, function(error, options) {
+		if (error) {
+			return callback(error);
+		}
+
+		self._checkDropletLimit(1, function() {
+			self._post('droplets/', options, function(error, body) {
+				callback(error, body && body.droplet);
+			}, 'droplet');
+		});
+	});
+};
+
+/**
+ * <b>New Droplets</b>.
+ * This method creates a droplet for every name, up to 10 with a request. Larger lists are created in batches of 10, one after another.
+ * When a batch fails the error's droplets hold the droplets created so far. SSH keys and validation work like with dropletNew.
+ * @param {Array}     names           Required, names of the droplets - must be formatted by hostname rules
+ * @param {string}    region          Required, slug of the region
+ * @param {string}    size            Required, slug of the size
+ * @param {(number|string)} image     Required, id or slug of the image
+ * @param {Object}    optionals       Optional, { ssh_keys: [], private_networking: false, backups: false, tags: [] }, ssh_keys being ids, fingerprints or names
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletNewMany
+ */
+Digitalocean.prototype.dropletNewMany = function(names, region, size, image, optionals, callback) {
+	var self = this;
+	var droplets = [];
+	var batches = [];
+
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	if (!Array.isArray(names) || !names.length) {
+		return process.nextTick(function() {
+			callback(new errors.ValidationError('names must be a non-empty array'));
+		});
+	}
+
+	if (optionals && optionals.tags !== undefined && !(Array.isArray(optionals.tags) && optionals.tags.every(isTagName))) {
+		return process.nextTick(function() {
+			callback(new errors.ValidationError('tags must be an array of tag names made of letters, numbers, colons, dashes and underscores'));
+		});
+	}
+
+	for (var i = 0; i < names.length; i += DROPLET_BATCH) {
+		batches.push(names.slice(i, i + DROPLET_BATCH));
+	}
+
+	this._prepareDroplets(names, extend({region: region, size: size, image: image}, optionals), function(error, prepared) {
+		if (error) {
+			return callback(error);
+		}
+
+		self._checkDropletLimit(names.length, function() {
+			series(batches.map(function(batch) {
+				return function(next) {
+					var form = extend({names: batch}, prepared);
+
+					self._post('droplets/', form, function(error, body) {
+						if (!error) {
+							droplets.push.apply(droplets, body.droplets);
+						}
+
+						next(error);
+					}, 'droplets');
+				};
+			}), function(error) {
+				if (error) {
+					error.droplets = droplets;
+					return callback(error);
+				}
+
+				callback(null, droplets);
+			});
+		});
+	});
+};
+
+/**
+ * <b>Show Droplet</b>.
+ * This method returns full information for a specific droplet ID that is passed in the URL.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletGet
+ */
+Digitalocean.prototype.dropletGet = function(id, callback) {
+	this._get('droplets/' + id, {}, function(error, body) {
+		callback(error, body && body.droplet);
+	}, 'droplet');
+};
+
+/**
+ * <b>Find Droplet</b>.
+ * This method returns a droplet given by id or by name, to use a name where an id is expected: a name matching no droplet
+ * passes a NotFoundError, a name of several droplets a ValidationError.
+ * @param {(number|string)} nameOrId  Required, id or name of the droplet
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletResolve
+ */
+Digitalocean.prototype.dropletResolve = function(nameOrId, callback) {
+	if (isId(nameOrId)) {
+		return this.dropletGet(nameOrId, callback);
+	}
+
+	this.dropletGetAll(function(error, droplets) {
+		if (error) {
+			return callback(error);
+		}
+
+		byName(droplets, nameOrId, 'droplet', callback);
+	});
+};
+
+/**
+ * <b>Wait for Droplet Status</b>.
+ * This method polls a droplet until it reaches the given status, e.g. a droplet created by dropletNew becoming 'active'.
+ * It fails with a TimeoutError, the last droplet seen attached as error.droplet, when the timeout passes.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @param {string}    status          Required, the status to wait for: 'new', 'active', 'off' or 'archive'
+ * @param {Object}    options         Optional, { interval: 5000, timeout: 600000 } in milliseconds
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method waitForDropletStatus
+ */
+Digitalocean.prototype.waitForDropletStatus = function(id, status, options, callback) {
+	var self = this;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._poll(function(next) {
+		self.dropletGet(id, function(error, droplet) {
+			next(error, droplet && droplet.status === status, droplet);
+		});
+	}, options, function(error, droplet, timedOut) {
+		if (timedOut) {
+			error = new errors.TimeoutError('Timed out waiting for droplet ' + id + ' to become ' + status, {droplet: droplet});
+		}
+
+		callback(error, droplet);
+	});
+};
+
+/**
+ * <b>List Droplet Snapshots</b>.
+ * This method lists the snapshots taken of a droplet.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletSnapshotGetAll
+ */
+Digitalocean.prototype.dropletSnapshotGetAll = function(id, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('droplets/' + id + '/snapshots', parameters, 'snapshots', callback);
+};
+
+/**
+ * <b>List Droplet Backups</b>.
+ * This method lists the backups kept of a droplet, backups have to be enabled on it.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletBackupGetAll
+ */
+Digitalocean.prototype.dropletBackupGetAll = function(id, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('droplets/' + id + '/backups', parameters, 'backups', callback);
+};
+
+/**
+ * <b>List Droplet Kernels</b>.
+ * This method lists the kernels a droplet can be switched to with dropletChangeKernel.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletKernelGetAll
+ */
+Digitalocean.prototype.dropletKernelGetAll = function(id, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('droplets/' + id + '/kernels', parameters, 'kernels', callback);
+};
+
+/**
+ * <b>List Droplet Actions</b>.
+ * This method lists the actions that have been run on a droplet, newest first.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletActionGetAll
+ */
+Digitalocean.prototype.dropletActionGetAll = function(id, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('droplets/' + id + '/actions', parameters, 'actions', callback);
+};
+
+/**
+ * <b>List Droplet Neighbors</b>.
+ * This method lists the droplets running on the same physical server as a droplet.
+ * @param {number}    id              Required, this is the id of your droplet
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletNeighborGetAll
+ */
+Digitalocean.prototype.dropletNeighborGetAll = function(id, callback) {
+	this._get('droplets/' + id + '/neighbors', {}, function(error, body) {
+		callback(error, body && body.droplets);
+	}, 'droplets');
+};
+
+/**
+ * <b>Reboot Droplet</b>.
+ * This method allows you to reboot a droplet. This is the preferred method to use if a server is not responding.
+ * @param {number}    id              Required, this is the id of your droplet that you want to reboot
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletReboot
+ */
+Digitalocean.prototype.dropletReboot = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'reboot'}, options, callback);
+};
+
+/**
+ * <b>Power Cycle Droplet</b>.
+ * This method allows you to power cycle a droplet. This will turn off the droplet and then turn it back on.
+ * @param {number}    id              Required, this is the id of your droplet that you want to power cycle
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPowerCycle
+ */
+Digitalocean.prototype.dropletPowerCycle = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'power_cycle'}, options, callback);
+};
+
+/**
+ * <b>Shut Down Droplet</b>.
+ * This method allows you to shutdown a running droplet. The droplet will remain in your account.
+ * @param {number}    id              Required, this is the id of your droplet that you want to shutdown
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletShutdown
+ */
+Digitalocean.prototype.dropletShutdown = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'shutdown'}, options, callback);
+};
+
+/**
+ * <b>Power Off</b>.
+ * This method allows you to poweroff a running droplet. The droplet will remain in your account.
+ * @param {number}    id              Required, this is the id of your droplet that you want to power off
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPowerOff
+ */
+Digitalocean.prototype.dropletPowerOff = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'power_off'}, options, callback);
+};
+
+/**
+ * <b>Power On</b>.
+ * This method allows you to poweron a powered off droplet.
+ * @param {number}    id              Required, this is the id of your droplet that you want to power on
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPowerOn
+ */
+Digitalocean.prototype.dropletPowerOn = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'power_on'}, options, callback);
+};
+
+/**
+ * <b>Reset Root Password</b>.
+ * This method will reset the root password for a droplet. Please be aware that this will reboot the droplet to allow resetting the password.
+ * @param {number}    id              Required, this is the id of your droplet that you want to reset password on
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPasswordReset
+ */
+Digitalocean.prototype.dropletPasswordReset = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'password_reset'}, options, callback);
+};
+
+/**
+ * <b>Resize Droplet</b>.
+ * This method allows you to resize a specific droplet to a different size. This will affect the number of processors and memory allocated to the droplet.
+ * @param {number}    id              Required, this is the id of your droplet that you want to resize
+ * @param {number}    sizeId          Required, this is the id of the size you would like the droplet to be resized to
+ * @param {boolean}    disk          Optional, Whether to increase disk size
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletResize
+ */
+Digitalocean.prototype.dropletResize = function(id, size, disk, options, callback) {
+	if (typeof disk === 'function') {
+		callback = disk;
+		disk = undefined;
+		options = {};
+	} else if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	if (disk !== null && typeof disk === 'object') {
+		options = disk;
+		disk = undefined;
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'resize', size: size, disk: disk}, options, callback);
+};
+/**
+ * <b>Take a Snapshot</b>.
+ * This method allows you to take a snapshot of the running droplet, which can later be restored or used to create a new droplet from the same image. Please be aware this may cause a reboot.
+ * @param {number}    id              Required, this is the id of your droplet that you want to resize
+ * @param {Object}    optionals       { name: "date/time" }
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletSnapshot
+ */
+Digitalocean.prototype.dropletSnapshot = function(id, optionals, options, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+		options = {};
+	} else if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', extend(optionals, {type: 'snapshot'}), options, callback);
+};
+
+/**
+ * <b>Restore Droplet</b>.
+ * This method allows you to restore a droplet with a previous image or snapshot. This will be a mirror copy of the image or snapshot to your droplet. Be sure you have backed up any necessary information prior to restore.
+ * @param {number}    id              Required, this is the id of your droplet that you want to restore
+ * @param {number}    imageId         Required, this is the id of the image you would like to use to restore your droplet with
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletRestore
+ */
+Digitalocean.prototype.dropletRestore = function(id, imageId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'restore', image: imageId}, options, callback);
+};
+
+/**
+ * <b>Rebuild Droplet</b>.
+ * This method allows you to reinstall a droplet with a default image. This is useful if you want to start again but retain the same IP address for your droplet.
+ * @param {number}    id              Required, this is the id of your droplet that you want to rebuild
+ * @param {number}    imageId         Required, this is the id of the image you would like to use to rebuild your droplet with
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletRebuild
+ */
+Digitalocean.prototype.dropletRebuild = function(id, imageId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'rebuild', image: imageId}, options, callback);
+};
+
+/**
+ * <b>Rename Droplet</b>.
+ * This method renames the droplet to the specified name.
+ * @param {number}    id              Required, this is the id of your droplet that you want to rename
+ * @param {string}    name            Required, new name of the droplet
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletRename
+ */
+Digitalocean.prototype.dropletRename = function(id, name, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'rename', name: name}, options, callback);
+};
+
+/**
+ * <b>Enable Backups</b>.
+ * This method enables backups on a droplet.
+ * @param {number}    id              Required, this is the id of your droplet that you want to enable backups on
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletEnableBackups
+ */
+Digitalocean.prototype.dropletEnableBackups = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'enable_backups'}, options, callback);
+};
+
+/**
+ * <b>Disable Backups</b>.
+ * This method disables backups on a droplet, the existing backups are kept until they expire.
+ * @param {number}    id              Required, this is the id of your droplet that you want to disable backups on
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletDisableBackups
+ */
+Digitalocean.prototype.dropletDisableBackups = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'disable_backups'}, options, callback);
+};
+
+/**
+ * <b>Enable IPv6</b>.
+ * This method enables IPv6 networking on a droplet.
+ * @param {number}    id              Required, this is the id of your droplet that you want to enable IPv6 on
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletEnableIpv6
+ */
+Digitalocean.prototype.dropletEnableIpv6 = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'enable_ipv6'}, options, callback);
+};
+
+/**
+ * <b>Enable Private Networking</b>.
+ * This method enables private networking on a droplet.
+ * @param {number}    id              Required, this is the id of your droplet that you want to enable private networking on
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletEnablePrivateNetworking
+ */
+Digitalocean.prototype.dropletEnablePrivateNetworking = function(id, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'enable_private_networking'}, options, callback);
+};
+
+/**
+ * <b>Change Kernel</b>.
+ * This method switches the kernel of a droplet, it takes effect once the droplet is power cycled.
+ * @param {number}    id              Required, this is the id of your droplet that you want to change the kernel of
+ * @param {number}    kernelId        Required, this is the id of the kernel, see dropletKernelGetAll
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletChangeKernel
+ */
+Digitalocean.prototype.dropletChangeKernel = function(id, kernelId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('droplets/' + id + '/actions', {type: 'change_kernel', kernel: kernelId}, options, callback);
+};
+
+/**
+ * <b>Destroy Droplet</b>.
+ * This method destroys one of your droplets - this is irreversible.
+ * @param {number}    id              Required, this is the id of the droplet you want to destroy
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletDestroy
+ */
+Digitalocean.prototype.dropletDestroy = function(id, callback) {
+	this._delete('droplets/' + id + '/', {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Destroy Droplets</b>.
+ * This method destroys several droplets - this is irreversible. It doesn't stop at the first failure but passes
+ * a result per droplet, { id } once it's destroyed or { id, error } when that failed.
+ * @param {Array}     ids             Required, ids of the droplets you want to destroy
+ * @param {Object}    options         Optional, { concurrency: 5 }, the number of requests running at once
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletDestroyMany
+ */
+Digitalocean.prototype.dropletDestroyMany = function(ids, options, callback) {
+	var self = this;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	eachLimit(ids, options.concurrency || CONCURRENCY, function(id, index, done) {
+		self.dropletDestroy(id, function(error) {
+			done(error ? {id: id, error: error} : {id: id});
+		});
+	}, function(results) {
+		callback(null, results);
+	});
+};
+
+/**
+ * <b>Run an Action on Droplets</b>.
+ * This method runs the same action on several droplets, e.g. dropletActionMany([1, 2], 'power_off') or
+ * dropletActionMany([1, 2], {type: 'resize', size: 's-2vcpu-2gb'}). It doesn't stop at the first failure but passes
+ * a result per droplet, { id, action } or { id, error }.
+ * @param {Array}     ids             Required, ids of the droplets
+ * @param {(string|Object)} action    Required, the action type or the action with its attributes
+ * @param {Object}    options         Optional, { concurrency: 5, wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletActionMany
+ */
+Digitalocean.prototype.dropletActionMany = function(ids, action, options, callback) {
+	var self = this;
+	var form = typeof action === 'string' ? {type: action} : action;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	if (!form || typeof form.type !== 'string') {
+		return process.nextTick(function() {
+			callback(new errors.ValidationError('action must be an action type or an object with a type'));
+		});
+	}
+
+	eachLimit(ids, options.concurrency || CONCURRENCY, function(id, index, done) {
+		self._action('droplets/' + id + '/actions', form, options, function(error, action) {
+			done(error ? {id: id, error: error} : {id: id, action: action});
+		});
+	}, function(results) {
+		callback(null, results);
+	});
+};
+
+/**
+ * <b>Destroy Droplets by Tag</b>.
+ * This method destroys every droplet carrying a tag - this is irreversible.
+ * @param {string}    tagName         Required, name of the tag
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletDestroyByTag
+ */
+Digitalocean.prototype.dropletDestroyByTag = function(tagName, callback) {
+	this._request('DELETE', 'droplets/', {tag_name: tagName}, {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Power Cycle Droplets by Tag</b>.
+ * This method power cycles every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPowerCycleByTag
+ */
+Digitalocean.prototype.dropletPowerCycleByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'power_cycle'}, options, callback);
+};
+
+/**
+ * <b>Power On Droplets by Tag</b>.
+ * This method powers on every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPowerOnByTag
+ */
+Digitalocean.prototype.dropletPowerOnByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'power_on'}, options, callback);
+};
+
+/**
+ * <b>Power Off Droplets by Tag</b>.
+ * This method powers off every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletPowerOffByTag
+ */
+Digitalocean.prototype.dropletPowerOffByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'power_off'}, options, callback);
+};
+
+/**
+ * <b>Shut Down Droplets by Tag</b>.
+ * This method shuts down every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletShutdownByTag
+ */
+Digitalocean.prototype.dropletShutdownByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'shutdown'}, options, callback);
+};
+
+/**
+ * <b>Snapshot Droplets by Tag</b>.
+ * This method takes a snapshot of every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    optionals       { name: "date/time" }
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletSnapshotByTag
+ */
+Digitalocean.prototype.dropletSnapshotByTag = function(tagName, optionals, options, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+		options = {};
+	} else if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, extend(optionals, {type: 'snapshot'}), options, callback);
+};
+
+/**
+ * <b>Enable Backups by Tag</b>.
+ * This method enables backups on every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletEnableBackupsByTag
+ */
+Digitalocean.prototype.dropletEnableBackupsByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'enable_backups'}, options, callback);
+};
+
+/**
+ * <b>Disable Backups by Tag</b>.
+ * This method disables backups on every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletDisableBackupsByTag
+ */
+Digitalocean.prototype.dropletDisableBackupsByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'disable_backups'}, options, callback);
+};
+
+/**
+ * <b>Enable IPv6 by Tag</b>.
+ * This method enables IPv6 on every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletEnableIpv6ByTag
+ */
+Digitalocean.prototype.dropletEnableIpv6ByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'enable_ipv6'}, options, callback);
+};
+
+/**
+ * <b>Enable Private Networking by Tag</b>.
+ * This method enables private networking on every droplet carrying a tag and passes an action per droplet.
+ * @param {string}    tagName         Required, name of the tag
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the actions are passed once they have completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method dropletEnablePrivateNetworkingByTag
+ */
+Digitalocean.prototype.dropletEnablePrivateNetworkingByTag = function(tagName, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._tagAction(tagName, {type: 'enable_private_networking'}, options, callback);
+};
+
+/**
+ * <b>All Regions</b>.
+ * This method will return all the available regions within the Digital Ocean cloud.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback    complete
+ * @memberof Digitalocean
+ * @method regionGetAll
+ */
+Digitalocean.prototype.regionGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('regions/', parameters, 'regions', function(error, regions, meta) {
+		callback(error, error ? undefined : {regions: regions, meta: meta}, meta);
+	});
+};
+
+/**
+ * @private
+ * @param  {params}   filter   Optional, {"private": true}
+ * @param  {Object}   parameters  Optional, { page, per_page, onPage }
+ * @callback complete
+ * @memberof Digitalocean
+ * @method _images
+ */
+Digitalocean.prototype._images = function(filter, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('images/', extend(parameters, filter), 'images', callback);
+};
+
+/**
+ * <b>All Images</b>.
+ * This method returns all the available images that can be accessed by your client ID. You will have access to all public images by default, and any snapshots or backups that you have created in your own account.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageGetAll
+ */
+Digitalocean.prototype.imageGetAll = function(parameters, callback) {
+	this._images(null, parameters, callback);
+};
+
+/**
+ * <b>Distribution images</b>.
+ * This method returns all public distribution images.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageGetDistribution
+ */
+Digitalocean.prototype.imageGetDistribution = function(parameters, callback) {
+	this._images({type: 'distribution'}, parameters, callback);
+};
+
+/**
+ * <b>Application images</b>.
+ * This method returns all public application images.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageGetApplication
+ */
+Digitalocean.prototype.imageGetApplication = function(parameters, callback) {
+	this._images({type: 'application'}, parameters, callback);
+};
+
+
+/**
+ * <b>Mine images</b>.
+ * This method returns snapshots or backups that you have created in your own account.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageGetMine
+ */
+Digitalocean.prototype.imageGetMine = function(parameters, callback) {
+	this._images({private: 'true'}, parameters, callback);
+};
+
+/**
+ * <b>Show Image</b>.
+ * This method displays the attributes of an image.
+ * @param {number}    id              Required, this is the id of the image you would like to use to rebuild your droplet with
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageGet
+ */
+Digitalocean.prototype.imageGet = function(id, callback) {
+	this._get('images/' + id + '/', {}, function(error, body) {
+		callback(error, body && body.image);
+	}, 'image');
+};
+
+/**
+ * <b>Find Image</b>.
+ * This method returns an image given by id, by slug or, for your own snapshots and backups, by name, to use them where
+ * an id is expected: a name matching no image passes a NotFoundError, a name of several images a ValidationError.
+ * @param {(number|string)} slugOrId  Required, id, slug or name of the image
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageResolve
+ */
+Digitalocean.prototype.imageResolve = function(slugOrId, callback) {
+	var self = this;
+
+	this.imageGet(slugOrId, function(error, image) {
+		if (!(error instanceof errors.NotFoundError) || isId(slugOrId)) {
+			return callback(error, image);
+		}
+
+		self.imageGetMine(function(error, images) {
+			if (error) {
+				return callback(error);
+			}
+
+			byName(images, slugOrId, 'image', callback);
+		});
+	});
+};
+
+/**
+ * <b>Destroy Image</b>.
+ * This method allows you to destroy an image. There is no way to restore a deleted image so be careful and ensure your data is properly backed up.
+ * @param {number}    id              Required, this is the id of the image you would like to destroy
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageDestroy
+ */
+Digitalocean.prototype.imageDestroy = function(id, callback) {
+	this._delete('images/' + id + '/', {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Transfer Image</b>.
+ * This method allows you to transfer an image to a specified region.
+ * @param {number}    id              Required, this is the id of the image you would like to transfer.
+ * @param {number}    regionId        Required, this is the id of the region to which you would like to transfer.
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method imageTransfer
+ */
+Digitalocean.prototype.imageTransfer = function(id, regionId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('images/' + id + '/actions', {type: 'transfer', region: regionId}, options, callback);
+};
+
+
+/**
+ * <b>All SSH Keys</b>.
+ * This method lists all the available public SSH keys in your account that can be added to a droplet.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyGetAll
+ */
+Digitalocean.prototype.sshKeyGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('account/keys/', parameters, 'ssh_keys', callback);
+};
+
+/**
+ * <b>Add SSH Key</b>.
+ * This method allows you to add a new public SSH key to your account.
+ * @param {string}    name            Required, the name you want to give this SSH key.
+ * @param {string}    pubKey          Required, the actual public SSH key.
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyAdd
+ */
+Digitalocean.prototype.sshKeyAdd = function(name, pubKey, callback) {
+	this._post('account/keys/', {name: name, public_key: pubKey}, function(error, body) {
+		callback(error, body && body.ssh_key);
+	}, 'ssh_key');
+};
+
+/**
+ * <b>Show SSH Key</b>.
+ * This method shows a specific public SSH key in your account that can be added to a droplet.
+ * @param {(number|string)} id        Required, this is the id or MD5 fingerprint of the ssh key you would like to get information on.
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyGet
+ */
+Digitalocean.prototype.sshKeyGet = function(id, callback) {
+	this._get('account/keys/' + sshKeyId(id), {}, function(error, body) {
+		callback(error, body && body.ssh_key);
+	}, 'ssh_key');
+};
+
+/**
+ * <b>Find SSH Key</b>.
+ * This method returns an SSH key given by id, MD5 fingerprint or name, to use a name where an id is expected: a name
+ * matching no key passes a NotFoundError, a name of several keys a ValidationError.
+ * @param {(number|string)} nameOrId  Required, id, fingerprint or name of the SSH key
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyResolve
+ */
+Digitalocean.prototype.sshKeyResolve = function(nameOrId, callback) {
+	if (isId(nameOrId) || FINGERPRINT.test(nameOrId)) {
+		return this.sshKeyGet(nameOrId, callback);
+	}
+
+	this.sshKeyGetAll(function(error, keys) {
+		if (error) {
+			return callback(error);
+		}
+
+		byName(keys, nameOrId, 'SSH key', callback);
+	});
+};
+
+/**
+ * <b>Rename SSH Key</b>.
+ * This method allows you to rename an existing public SSH key in your account.
+ * @param {(number|string)} id        Required, this is the id or MD5 fingerprint of the ssh key you would like to edit.
+ * @param {string}    name            Required, the new name of the SSH key.
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyUpdate
+ */
+Digitalocean.prototype.sshKeyUpdate = function(id, name, callback) {
+	this._put('account/keys/' + sshKeyId(id), {name: name}, function(error, body) {
+		callback(error, body && body.ssh_key);
+	}, 'ssh_key');
+};
+
+/**
+ * <b>Destroy SSH Key</b>.
+ * This method will delete the SSH key from your account.
+ * @param {(number|string)} id        Required, this is the id or MD5 fingerprint of the ssh key you would like to destroy.
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyDestroy
+ */
+Digitalocean.prototype.sshKeyDestroy = function(id, callback) {
+	this._delete('account/keys/' + sshKeyId(id), {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Ensure SSH Key</b>.
+ * This method returns the registered SSH key with the public key's fingerprint, adding the key under the given name when there is none.
+ * Running it again with the same key changes nothing.
+ * @param {string}    name            Required, the name to give the SSH key if it has to be added.
+ * @param {string}    pubKey          Required, the OpenSSH public key.
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method sshKeyEnsure
+ */
+Digitalocean.prototype.sshKeyEnsure = function(name, pubKey, callback) {
+	var self = this;
+	var fingerprint;
+
+	try {
+		fingerprint = sshKey.fingerprint(pubKey);
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	this.sshKeyGet(fingerprint, function(error, key) {
+		if (error instanceof errors.NotFoundError) {
+			return self.sshKeyAdd(name, pubKey, callback);
+		}
+
+		callback(error, key);
+	});
+};
+
+
+/**
+ * <b>All Sizes</b>.
+ * This method returns all the available sizes that can be used to create a droplet.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback    complete
+ * @memberof Digitalocean
+ * @method sizeGetAll
+ */
+Digitalocean.prototype.sizeGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('sizes/', parameters, 'sizes', callback);
+};
+
+
+/**
+ * <b>All Domains</b>.
+ * This method returns all of your current domains.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback    complete
+ * @memberof Digitalocean
+ * @method domainGetAll
+ */
+Digitalocean.prototype.domainGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('domains/', parameters, 'domains', callback);
+};
+
+/**
+ * <b>New Domain</b>.
+ * This method creates a new domain name with an A record for the specified [ip_address].
+ * @param {string}    name            Required, name of the domain.
+ * @param {string}    ipAddress       Required, ip address for the domain's initial a record.
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method domainNew
+ */
+Digitalocean.prototype.domainNew = function(name, ipAddress, callback) {
+	this._post('domains/', {name: name, ip_address: ipAddress}, function(error, body) {
+		callback(error, body && body.domain);
+	}, 'domain');
+};
+
+/**
+ * <b>Domain Show</b>.
+ * This method returns the specified domain.
+ * @param {(number|string)} id         Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
+ * @callback                complete
+ * @memberof Digitalocean
+ * @method domainGet
+ */
+Digitalocean.prototype.domainGet = function(name, callback) {
+	this._get('domains/' + name, {}, function(error, body) {
+		callback(error, body && body.domain);
+	}, 'domain');
+};
+
+/**
+ * <b>Destroy Domain</b>.
+ * This method deletes the specified domain.
+ * @param {(number|string)} id         Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
+ * @callback                complete
+ * @memberof Digitalocean
+ * @method domainDestroy
+ */
+Digitalocean.prototype.domainDestroy = function(name, callback) {
+	this._delete('domains/' + name, {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>All Domain Records</b>.
+ * This method returns all of your current domain records, optionally filtered by type and name.
+ * @param {string}         domain      Required, Domain Name (e.g. domain.com), specifies the domain to display.
+ * @param {Object}         parameters  Optional, { type, name, page, per_page, onPage }, name may be relative ('www') or fully qualified, every page is fetched unless page is given
+ * @callback                complete
+ * @memberof Digitalocean
+ * @method domainRecordGetAll
+ */
+Digitalocean.prototype.domainRecordGetAll = function(domain, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	if (parameters && parameters.name !== undefined) {
+		parameters = extend(parameters, {name: records.absoluteName(parameters.name, domain)});
+	}
+
+	this._getAll('domains/' + domain + '/records/', parameters, 'domain_records', callback);
+};
+
+/**
+ * <b>New Domain Record</b>.
+ * This method creates a new record in a domain.
+ * @param {string}         domain     Required, Domain Name (e.g. domain.com), specifies the domain to create the record in.
+ * @param {string}         name       Required, name of the record relative to the domain, e.g. 'www', or '@' for the domain itself
+ * @param {string}         recordType Required, the type of record you would like to create. 'A', 'AAAA', 'CAA', 'CNAME', 'NS', 'TXT', 'MX' or 'SRV'
+ * @param {string}         data       Required, this is the value of the record
+ * @param {Object}         optionals  Optional, { priority, port, weight, ttl, flags, tag }<br>- priority is required for 'SRV' and 'MX' records<br>- port is required for 'SRV' records<br>- weight is required for 'SRV' records<br>- flags and tag are required for 'CAA' records
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainRecordNew
+ */
+Digitalocean.prototype.domainRecordNew = function(domain, name, recordType, data, optionals, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	var options = {
+		name: name,
+		type: recordType,
+		data: data
+	};
+	options = extend(optionals, options);
+
+	this._post('domains/' + domain + '/records', options, function(error, body) {
+		callback(error, body && body.domain_record);
+	}, 'domain_record');
+};
+
+/**
+ * <b>Show Domain Record</b>.
+ * This method returns the specified domain record.
+ * @param {string}         domain      Required, Domain Name (e.g. domain.com), specifies the domain for which to retrieve a record.
+ * @param {number}         recordId    Required, specifies the record_id to retrieve.
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainRecordGet
+ */
+Digitalocean.prototype.domainRecordGet = function(domain, recordId, callback) {
+	this._get('domains/' + domain + '/records/' + recordId, {}, function(error, body) {
+		callback(error, body && body.domain_record);
+	}, 'domain_record');
+};
+
+/**
+ * <b>Edit Domain Record</b>.
+ * This method edits an existing domain record.
+ * @param {string}         domain     Required, Domain Name (e.g. domain.com), specifies the domain of the record.
+ * @param {number}         recordId   Required, specifies the record to update.
+ * @param {string}         name       Required, name of the record relative to the domain, e.g. 'www', or '@' for the domain itself
+ * @param {string}         recordType Required, the type of record you would like to create. 'A', 'AAAA', 'CAA', 'CNAME', 'NS', 'TXT', 'MX' or 'SRV'
+ * @param {string}         data       Required, this is the value of the record
+ * @param {Object}         optionals  Optional, { priority, port, weight, ttl, flags, tag }<br>- priority is required for 'SRV' and 'MX' records<br>- port is required for 'SRV' records<br>- weight is required for 'SRV' records<br>- flags and tag are required for 'CAA' records
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainRecordEdit
+ */
+Digitalocean.prototype.domainRecordEdit = function(domain, recordId, name, recordType, data, optionals, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	var options = {
+		name: name,
+		type: recordType,
+		data: data
+	};
+	options = extend(optionals, options);
+
+	this._put('domains/' + domain + '/records/' + recordId, options, function(error, body) {
+		callback(error, body && body.domain_record);
+	}, 'domain_record');
+};
+
+/**
+ * <b>Destroy Domain Record</b>.
+ * This method deletes the specified domain record.
+ * @param {string}         domain     Required, Domain Name (e.g. domain.com), specifies the domain for which to destroy a record.
+ * @param {number}         recordId   Required, specifies which record to destroy.
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainRecordDestroy
+ */
+Digitalocean.prototype.domainRecordDestroy = function(domain, recordId, callback) {
+	this._delete('domains/' + domain + '/records/' + recordId, {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Sync Domain Records</b>.
+ * This method makes a domain's records match the desired ones, creating, updating and, with prune, destroying only what differs.
+ * Records are matched by type and name, optional attributes left out of a desired record are not compared.
+ * SOA records and the NS records of the domain itself are left alone unless desired records of their type and name are given.
+ * The plan is passed as { create: [record], update: [{ record, changes }], destroy: [record], unchanged: [record] }.
+ * @param {string}         domain     Required, Domain Name (e.g. domain.com)
+ * @param {Array}          desired    Required, [{ type, name, data, priority, port, weight, ttl, flags, tag }], names may be relative or fully qualified
+ * @param {Object}         options    Optional, { dryRun: false, prune: false }, with dryRun nothing is changed and only the plan is passed
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainSync
+ */
+Digitalocean.prototype.domainSync = function(domain, desired, options, callback) {
+	var self = this;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	this.domainRecordGetAll(domain, function(error, current) {
+		if (error) {
+			return callback(error);
+		}
+
+		var plan = records.diff(current, desired, domain, options);
+
+		if (options.dryRun) {
+			return callback(null, plan);
+		}
+
+		var tasks = [];
+
+		plan.update.forEach(function(update) {
+			tasks.push(function(next) {
+				var changes = update.changes;
+				self.domainRecordEdit(domain, update.record.id, changes.name, changes.type, changes.data, records.recordOptionals(changes), next);
+			});
+		});
+
+		plan.destroy.forEach(function(record) {
+			tasks.push(function(next) {
+				self.domainRecordDestroy(domain, record.id, next);
+			});
+		});
+
+		plan.create.forEach(function(record) {
+			tasks.push(function(next) {
+				self.domainRecordNew(domain, record.name, record.type, record.data, records.recordOptionals(record), next);
+			});
+		});
+
+		series(tasks, function(error) {
+			callback(error, plan);
+		});
+	});
+};
+
+/**
+ * <b>Export Zone File</b>.
+ * This method renders a domain and its records as a BIND zone file.
+ * @param {string}         domain     Required, Domain Name (e.g. domain.com)
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainExportZone
+ */
+Digitalocean.prototype.domainExportZone = function(domain, callback) {
+	var self = this;
+
+	this.domainGet(domain, function(error, info) {
+		if (error) {
+			return callback(error);
+		}
+
+		self.domainRecordGetAll(domain, function(error, list) {
+			callback(error, error ? undefined : zone.serialize(info.name, list, {ttl: info.ttl}));
+		});
+	});
+};
+
+/**
+ * <b>Import Zone File</b>.
+ * This method parses a BIND zone file and creates its records in a domain through domainSync, so importing the same file twice
+ * changes nothing. SOA records are skipped, as are the domain's own NS records unless nameservers is set.
+ * @param {string}         domain     Required, Domain Name (e.g. domain.com)
+ * @param {string}         zoneText   Required, the zone file
+ * @param {Object}         options    Optional, { dryRun: false, prune: false, nameservers: false }, see domainSync
+ * @callback               complete
+ * @memberof Digitalocean
+ * @method domainImportZone
+ */
+Digitalocean.prototype.domainImportZone = function(domain, zoneText, options, callback) {
+	var desired;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	try {
+		desired = zone.parse(zoneText, domain).filter(function(record) {
+			return record.type !== 'SOA' && (options.nameservers || !(record.type === 'NS' && record.name === '@'));
+		});
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	this.domainSync(domain, desired, options, callback);
+};
+
+/**
+ * <b>All Volumes</b>.
+ * This method returns all of your Block Storage volumes.
+ * @param {Object}    parameters      Optional, { region, name, page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method volumeGetAll
+ */
+Digitalocean.prototype.volumeGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('volumes/', parameters, 'volumes', callback);
+};
+
+/**
+ * <b>New Volume</b>.
+ * This method creates a new Block Storage volume, either empty or from a volume snapshot.
+ * @param {string}    name            Required, name of the volume - lowercase letters, numbers and dashes
+ * @param {number}    size            Required, size of the volume in gigabytes
+ * @param {string}    region          Required, slug of the region to create the volume in, leave empty with snapshot_id
+ * @param {Object}    optionals       Optional, { description, snapshot_id, filesystem_type, filesystem_label, tags: [] }
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method volumeNew
+ */
+Digitalocean.prototype.volumeNew = function(name, size, region, optionals, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	var options = {
+		name: name,
+		size_gigabytes: size,
+		region: region
+	};
+	options = extend(options, optionals);
+
+	this._post('volumes/', options, function(error, body) {
+		callback(error, body && body.volume);
+	}, 'volume');
+};
+
+/**
+ * <b>Show Volume</b>.
+ * This method returns full information for a specific volume.
+ * @param {string}    id              Required, this is the id of the volume
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method volumeGet
  */
-var Digitalocean = function(token) {
-	this.token = token;
+Digitalocean.prototype.volumeGet = function(id, callback) {
+	this._get('volumes/' + id, {}, function(error, body) {
+		callback(error, body && body.volume);
+	}, 'volume');
 };
-module.exports = Digitalocean;
 
 /**
- * <b>Helper to handle requests to the API with authorization</b>.
- *
- * @private
- * @param {string}    url             address part after API root
- * @param {Object}    parameters      additional parameters
+ * <b>Show Volume by Name</b>.
+ * This method returns the volume with the given name in a region. Volume names are unique per region.
+ * @param {string}    name            Required, this is the name of the volume
+ * @param {string}    region          Required, slug of the volume's region
  * @callback          complete
  * @memberof Digitalocean
- * @method get
+ * @method volumeGetByName
  */
-Digitalocean.prototype._get = function(url, parameters, callback, required) {
-	this._request('GET', url, parameters, null, callback, required);
-}
+Digitalocean.prototype.volumeGetByName = function(name, region, callback) {
+	this._get('volumes/', {name: name, region: region}, function(error, body) {
+		var volume = body && body.volumes[0];
 
-Digitalocean.prototype._post = function(url, form, callback, required) {
-	this._request('POST', url, {}, form, callback, required);
-}
+		if (!error && !volume) {
+			error = new errors.NotFoundError('Volume ' + name + ' does not exist in ' + region, {id: 'not_found'});
+		}
 
-Digitalocean.prototype._delete = function(url, form, callback, required) {
-	this._request('DELETE', url, {}, form, callback, required);
-}
+		callback(error, volume);
+	}, 'volumes');
+};
 
-Digitalocean.prototype._put = function(url, form, callback, required) {
-	this._request('PUT', url, {}, form, callback, required);
-}
+/**
+ * <b>Destroy Volume</b>.
+ * This method destroys a volume - this is irreversible. The volume must be detached first.
+ * @param {string}    id              Required, this is the id of the volume you want to destroy
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method volumeDestroy
+ */
+Digitalocean.prototype.volumeDestroy = function(id, callback) {
+	this._delete('volumes/' + id, {}, function(error, body) {
+		callback(error, body);
+	});
+};
 
-Digitalocean.prototype._request = function(method, url, parameters, form, callback, required) {
-	parameters = extend({}, parameters);
-	form = extend({}, form);
+/**
+ * <b>Attach Volume</b>.
+ * This method attaches a volume to a droplet in the same region.
+ * @param {string}    id              Required, this is the id of the volume you want to attach
+ * @param {number}    dropletId       Required, this is the id of the droplet to attach the volume to
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method volumeAttach
+ */
+Digitalocean.prototype.volumeAttach = function(id, dropletId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
 
-	var getURL = API_URL + '/' + url + '?' + querystring.stringify(parameters); // Construct URL with parameters
-	var token = this.token;
-
-	PromiseRetryer.run({
-	    delay: function (attempt) {
-	        return attempt * 1000;
-	    },
-	    maxRetries: 25,
-	    onAttempt: function (attempt) {
-	    	debug(('[DO API #' + attempt + '] "' + getURL + '"')[attempt > 1 ? 'red' : 'grey']);
-	    },
-	    promise: function (attempt) {
-	        return new Promise(function (resolve, reject) {
-		        request(
-		        	{
-		        		method: method,
-						url: getURL,
-						strictSSL: false,
-						json: true,
-						headers: {
-							Authorization: "Bearer " + token
-						},
-						body: form
-					},
-					function(error, response, body) {
-						if (!error && body && (response.statusCode < 200 || response.statusCode > 299)) {//(!!body.status && body.status !== 'OK' || true)) {
-							return reject(new Error(body.description || body.message));
-						}
+	this._action('volumes/' + id + '/actions', {type: 'attach', droplet_id: dropletId}, options, callback);
+};
 
-						if (error || (required && !body[required])) {
-							return reject(new Error('Request Failed'));
-						} else {
-							resolve(body || {});
-						}
-					}
-				);
-	    	});
-	    }
-	}).then(
-		function (body) {
-			callback(null, body || {});
-		},
-		function (error) {
-			callback(error);
-		}
-	);
-}
+/**
+ * <b>Detach Volume</b>.
+ * This method detaches a volume from a droplet.
+ * @param {string}    id              Required, this is the id of the volume you want to detach
+ * @param {number}    dropletId       Required, this is the id of the droplet the volume is attached to
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method volumeDetach
+ */
+Digitalocean.prototype.volumeDetach = function(id, dropletId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('volumes/' + id + '/actions', {type: 'detach', droplet_id: dropletId}, options, callback);
+};
 
 /**
- * <b>Show All Active Droplets</b>.
- * This method returns all active droplets that are currently running in your account. All available API information is presented for each droplet.
- * @callback   complete
+ * <b>Resize Volume</b>.
+ * This method grows a volume. Volumes can't be shrunk.
+ * @param {string}    id              Required, this is the id of the volume you want to resize
+ * @param {number}    size            Required, the new size of the volume in gigabytes
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
+ * @callback          complete
  * @memberof Digitalocean
- * @method dropletGetAll
+ * @method volumeResize
  */
-Digitalocean.prototype.dropletGetAll = function(callback) {
-	this._get('droplets/', {}, function(error, body) {
-		callback(error, body.droplets);
-	}, 'droplets');
+Digitalocean.prototype.volumeResize = function(id, size, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('volumes/' + id + '/actions', {type: 'resize', size_gigabytes: size}, options, callback);
 };
 
 /**
- * <b>New Droplet</b>.
- * This method allows you to create a new droplet. See the required parameters section below for an explanation of the variables that are needed to create a new droplet.
- * @param {string}    name            Required, this is the name of the droplet - must be formatted by hostname rules
- * @param {number}    sizeId          Required, this is the id of the size you would like the droplet created at
- * @param {number}    imageId         Required, this is the id of the image you would like the droplet created with
- * @param {number}    regionId        Required, this is the id of the region you would like your server in IE: US/Amsterdam
- * @param {Object}    optionals       { ssh_key_ids: [], private_networking: false, backups_enabled: false }
+ * <b>All Volume Snapshots</b>.
+ * This method returns the snapshots that have been taken of a volume.
+ * @param {string}    id              Required, this is the id of the volume
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletNew
+ * @method volumeSnapshotGetAll
  */
-Digitalocean.prototype.dropletNew = function(name, region, size, image, optionals, callback) {
-	var options = {
-		name: name,
-		region: region,
-		size: size,
-		image: image
-	};
-	options = extend(options, optionals);
+Digitalocean.prototype.volumeSnapshotGetAll = function(id, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
 
-	this._post('droplets/', options, function(error, body) {
-		callback(error, body && body.droplet);
-	}, 'droplet');
+	this._getAll('volumes/' + id + '/snapshots', parameters, 'snapshots', callback);
 };
 
 /**
- * <b>Show Droplet</b>.
- * This method returns full information for a specific droplet ID that is passed in the URL.
- * @param {number}    id              Required, this is the id of your droplet
+ * <b>New Volume Snapshot</b>.
+ * This method takes a snapshot of a volume.
+ * @param {string}    id              Required, this is the id of the volume
+ * @param {string}    name            Required, name of the snapshot
+ * @param {Object}    optionals       { tags: [] }
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletGet
+ * @method volumeSnapshotNew
  */
-Digitalocean.prototype.dropletGet = function(id, callback) {
-	this._get('droplets/' + id, {}, function(error, body) {
-		callback(error, body.droplet);
-	}, 'droplet');
+Digitalocean.prototype.volumeSnapshotNew = function(id, name, optionals, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	this._post('volumes/' + id + '/snapshots', extend({name: name}, optionals), function(error, body) {
+		callback(error, body && body.snapshot);
+	}, 'snapshot');
 };
 
 /**
- * <b>Reboot Droplet</b>.
- * This method allows you to reboot a droplet. This is the preferred method to use if a server is not responding.
- * @param {number}    id              Required, this is the id of your droplet that you want to reboot
+ * <b>Show Volume Snapshot</b>.
+ * This method returns a snapshot taken of a volume.
+ * @param {string}    snapshotId      Required, this is the id of the snapshot
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletReboot
+ * @method volumeSnapshotGet
  */
-Digitalocean.prototype.dropletReboot = function(id, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'reboot'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.volumeSnapshotGet = function(snapshotId, callback) {
+	this._get('snapshots/' + snapshotId, {}, function(error, body) {
+		callback(error, body && body.snapshot);
+	}, 'snapshot');
 };
 
 /**
- * <b>Power Cycle Droplet</b>.
- * This method allows you to power cycle a droplet. This will turn off the droplet and then turn it back on.
- * @param {number}    id              Required, this is the id of your droplet that you want to power cycle
+ * <b>Destroy Volume Snapshot</b>.
+ * This method destroys a snapshot taken of a volume - this is irreversible.
+ * @param {string}    snapshotId      Required, this is the id of the snapshot you want to destroy
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletPowerCycle
+ * @method volumeSnapshotDestroy
  */
-Digitalocean.prototype.dropletPowerCycle = function(id, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'power_cycle'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.volumeSnapshotDestroy = function(snapshotId, callback) {
+	this._delete('snapshots/' + snapshotId, {}, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>Shut Down Droplet</b>.
- * This method allows you to shutdown a running droplet. The droplet will remain in your account.
- * @param {number}    id              Required, this is the id of your droplet that you want to shutdown
+ * <b>All Floating IPs</b>.
+ * This method returns all of your floating IPs.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletShutdown
+ * @method floatingIpGetAll
  */
-Digitalocean.prototype.dropletShutdown = function(id, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'shutdown'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.floatingIpGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('floating_ips/', parameters, 'floating_ips', callback);
 };
 
 /**
- * <b>Power Off</b>.
- * This method allows you to poweroff a running droplet. The droplet will remain in your account.
- * @param {number}    id              Required, this is the id of your droplet that you want to power off
+ * <b>New Floating IP</b>.
+ * This method reserves a new floating IP, either assigned to a droplet or unassigned in a region.
+ * @param {(number|string)} target    Required, id of the droplet to assign the floating IP to, or slug of the region to reserve it in
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletPowerOff
+ * @method floatingIpNew
  */
-Digitalocean.prototype.dropletPowerOff = function(id, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'power_off'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.floatingIpNew = function(target, callback) {
+	var options = isId(target) ? {droplet_id: Number(target)} : {region: target};
+
+	this._post('floating_ips/', options, function(error, body) {
+		callback(error, body && body.floating_ip);
+	}, 'floating_ip');
 };
 
 /**
- * <b>Power On</b>.
- * This method allows you to poweron a powered off droplet.
- * @param {number}    id              Required, this is the id of your droplet that you want to power on
+ * <b>Show Floating IP</b>.
+ * This method returns a floating IP and the droplet it's assigned to.
+ * @param {string}    ip              Required, the floating IP address
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletPowerOn
+ * @method floatingIpGet
  */
-Digitalocean.prototype.dropletPowerOn = function(id, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'power_on'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.floatingIpGet = function(ip, callback) {
+	this._get('floating_ips/' + ip, {}, function(error, body) {
+		callback(error, body && body.floating_ip);
+	}, 'floating_ip');
 };
 
 /**
- * <b>Reset Root Password</b>.
- * This method will reset the root password for a droplet. Please be aware that this will reboot the droplet to allow resetting the password.
- * @param {number}    id              Required, this is the id of your droplet that you want to reset password on
+ * <b>Destroy Floating IP</b>.
+ * This method releases a floating IP from your account.
+ * @param {string}    ip              Required, the floating IP address you want to release
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletPasswordReset
+ * @method floatingIpDestroy
  */
-Digitalocean.prototype.dropletPasswordReset = function(id, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'password_reset'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.floatingIpDestroy = function(ip, callback) {
+	this._delete('floating_ips/' + ip, {}, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>Resize Droplet</b>.
- * This method allows you to resize a specific droplet to a different size. This will affect the number of processors and memory allocated to the droplet.
- * @param {number}    id              Required, this is the id of your droplet that you want to resize
- * @param {number}    sizeId          Required, this is the id of the size you would like the droplet to be resized to
- * @param {boolean}    disk          Optional, Whether to increase disk size
+ * <b>Assign Floating IP</b>.
+ * This method assigns a floating IP to a droplet, moving it away from the droplet it's currently assigned to.
+ * @param {string}    ip              Required, the floating IP address
+ * @param {number}    dropletId       Required, this is the id of the droplet to assign the floating IP to
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletResize
+ * @method floatingIpAssign
  */
-Digitalocean.prototype.dropletResize = function(id, size, disk, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'resize', size: size, disk: disk}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.floatingIpAssign = function(ip, dropletId, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('floating_ips/' + ip + '/actions', {type: 'assign', droplet_id: dropletId}, options, callback);
 };
+
 /**
- * <b>Take a Snapshot</b>.
- * This method allows you to take a snapshot of the running droplet, which can later be restored or used to create a new droplet from the same image. Please be aware this may cause a reboot.
- * @param {number}    id              Required, this is the id of your droplet that you want to resize
- * @param {Object}    optionals       { name: "date/time" }
+ * <b>Unassign Floating IP</b>.
+ * This method unassigns a floating IP from its droplet, it stays reserved in the region.
+ * @param {string}    ip              Required, the floating IP address
+ * @param {Object}    options         Optional, { wait, interval, timeout }, with wait the action is passed once it has completed
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletSnapshot
+ * @method floatingIpUnassign
  */
-Digitalocean.prototype.dropletSnapshot = function(id, optionals, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'snapshot'}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.floatingIpUnassign = function(ip, options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._action('floating_ips/' + ip + '/actions', {type: 'unassign'}, options, callback);
 };
 
 /**
- * <b>Restore Droplet</b>.
- * This method allows you to restore a droplet with a previous image or snapshot. This will be a mirror copy of the image or snapshot to your droplet. Be sure you have backed up any necessary information prior to restore.
- * @param {number}    id              Required, this is the id of your droplet that you want to restore
- * @param {number}    imageId         Required, this is the id of the image you would like to use to restore your droplet with
+ * <b>All Tags</b>.
+ * This method returns all of your tags and how many resources carry each of them.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletRestore
+ * @method tagGetAll
  */
-Digitalocean.prototype.dropletRestore = function(id, imageId, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'restore', image: imageId}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.tagGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('tags/', parameters, 'tags', callback);
 };
 
 /**
- * <b>Rebuild Droplet</b>.
- * This method allows you to reinstall a droplet with a default image. This is useful if you want to start again but retain the same IP address for your droplet.
- * @param {number}    id              Required, this is the id of your droplet that you want to rebuild
- * @param {number}    imageId         Required, this is the id of the image you would like to use to rebuild your droplet with
+ * <b>New Tag</b>.
+ * This method creates a new tag.
+ * @param {string}    name            Required, name of the tag - letters, numbers, colons, dashes and underscores
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletRebuild
+ * @method tagNew
  */
-Digitalocean.prototype.dropletRebuild = function(id, imageId, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'rebuild', image: imageId}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.tagNew = function(name, callback) {
+	this._post('tags/', {name: name}, function(error, body) {
+		callback(error, body && body.tag);
+	}, 'tag');
 };
 
 /**
- * <b>Rename Droplet</b>.
- * This method renames the droplet to the specified name.
- * @param {number}    id              Required, this is the id of your droplet that you want to rename
- * @param {string}    name            Required, new name of the droplet
+ * <b>Show Tag</b>.
+ * This method returns a tag and the resources carrying it.
+ * @param {string}    name            Required, name of the tag
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletRename
+ * @method tagGet
  */
-Digitalocean.prototype.dropletRename = function(id, name, callback) {
-	this._post('droplets/' + id + '/actions', {type: 'rename', name: name}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.tagGet = function(name, callback) {
+	this._get('tags/' + name, {}, function(error, body) {
+		callback(error, body && body.tag);
+	}, 'tag');
 };
 
 /**
- * <b>Destroy Droplet</b>.
- * This method destroys one of your droplets - this is irreversible.
- * @param {number}    id              Required, this is the id of the droplet you want to destroy
+ * <b>Destroy Tag</b>.
+ * This method deletes a tag and removes it from every resource carrying it.
+ * @param {string}    name            Required, name of the tag you want to destroy
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method tagDestroy
+ */
+Digitalocean.prototype.tagDestroy = function(name, callback) {
+	this._delete('tags/' + name, {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Tag Resources</b>.
+ * This method adds a tag to resources.
+ * @param {string}    name            Required, name of the tag
+ * @param {Array}     resources       Required, [{ resource_id, resource_type }], droplet ids may be given as plain numbers
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method tagResources
+ */
+Digitalocean.prototype.tagResources = function(name, resources, callback) {
+	this._post('tags/' + name + '/resources', {resources: tagResourceList(resources)}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Untag Resources</b>.
+ * This method removes a tag from resources.
+ * @param {string}    name            Required, name of the tag
+ * @param {Array}     resources       Required, [{ resource_id, resource_type }], droplet ids may be given as plain numbers
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method untagResources
+ */
+Digitalocean.prototype.untagResources = function(name, resources, callback) {
+	this._delete('tags/' + name + '/resources', {resources: tagResourceList(resources)}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>All Firewalls</b>.
+ * This method returns all of your Cloud Firewalls.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallGetAll
+ */
+Digitalocean.prototype.firewallGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('firewalls/', parameters, 'firewalls', callback);
+};
+
+/**
+ * <b>New Firewall</b>.
+ * This method creates a new Cloud Firewall. Rules may be built with Digitalocean.firewall.allowInbound and allowOutbound
+ * or given as plain objects, they are validated before the request is sent.
+ * @param {string}    name            Required, name of the firewall - letters, numbers, dots and dashes
+ * @param {Object}    optionals       Optional, { inbound_rules: [], outbound_rules: [], droplet_ids: [], tags: [] }
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallNew
+ */
+Digitalocean.prototype.firewallNew = function(name, optionals, callback) {
+	var options;
+
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	try {
+		options = extend({name: name}, optionals, firewallRules.rulesBody(optionals));
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	this._post('firewalls/', options, function(error, body) {
+		callback(error, body && body.firewall);
+	}, 'firewall');
+};
+
+/**
+ * <b>Show Firewall</b>.
+ * This method returns a firewall with its rules, droplets and tags.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallGet
+ */
+Digitalocean.prototype.firewallGet = function(id, callback) {
+	this._get('firewalls/' + id, {}, function(error, body) {
+		callback(error, body && body.firewall);
+	}, 'firewall');
+};
+
+/**
+ * <b>Update Firewall</b>.
+ * This method replaces a firewall's configuration, attributes left out are emptied.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {Object}    firewall        Required, { name, inbound_rules: [], outbound_rules: [], droplet_ids: [], tags: [] }
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallUpdate
+ */
+Digitalocean.prototype.firewallUpdate = function(id, firewall, callback) {
+	var options;
+
+	try {
+		options = extend(firewall, firewallRules.rulesBody(firewall));
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	this._put('firewalls/' + id, options, function(error, body) {
+		callback(error, body && body.firewall);
+	}, 'firewall');
+};
+
+/**
+ * <b>Destroy Firewall</b>.
+ * This method deletes a firewall, its droplets are left unprotected.
+ * @param {string}    id              Required, this is the id of the firewall you want to destroy
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallDestroy
+ */
+Digitalocean.prototype.firewallDestroy = function(id, callback) {
+	this._delete('firewalls/' + id, {}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Add Droplets to Firewall</b>.
+ * This method puts droplets behind a firewall.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {Array}     dropletIds      Required, ids of the droplets
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallAddDroplets
+ */
+Digitalocean.prototype.firewallAddDroplets = function(id, dropletIds, callback) {
+	this._post('firewalls/' + id + '/droplets', {droplet_ids: dropletIds}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Remove Droplets from Firewall</b>.
+ * This method takes droplets out from behind a firewall.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {Array}     dropletIds      Required, ids of the droplets
+ * @callback          complete
+ * @memberof Digitalocean
+ * @method firewallRemoveDroplets
+ */
+Digitalocean.prototype.firewallRemoveDroplets = function(id, dropletIds, callback) {
+	this._delete('firewalls/' + id + '/droplets', {droplet_ids: dropletIds}, function(error, body) {
+		callback(error, body);
+	});
+};
+
+/**
+ * <b>Add Tags to Firewall</b>.
+ * This method puts every droplet carrying one of the tags behind a firewall.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {Array}     tags            Required, names of the tags
  * @callback          complete
  * @memberof Digitalocean
- * @method dropletDestroy
+ * @method firewallAddTags
  */
-Digitalocean.prototype.dropletDestroy = function(id, callback) {
-	this._delete('droplets/' + id + '/', {}, function(error, body) {
+Digitalocean.prototype.firewallAddTags = function(id, tags, callback) {
+	this._post('firewalls/' + id + '/tags', {tags: tags}, function(error, body) {
 		callback(error, body);
 	});
 };
 
-
 /**
- * <b>All Regions</b>.
- * This method will return all the available regions within the Digital Ocean cloud.
- * @callback    complete
+ * <b>Remove Tags from Firewall</b>.
+ * This method removes tags from a firewall.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {Array}     tags            Required, names of the tags
+ * @callback          complete
  * @memberof Digitalocean
- * @method regionGetAll
+ * @method firewallRemoveTags
  */
-Digitalocean.prototype.regionGetAll = function(callback) {
-	this._get('regions/', {}, function(error, body) {
+Digitalocean.prototype.firewallRemoveTags = function(id, tags, callback) {
+	this._delete('firewalls/' + id + '/tags', {tags: tags}, function(error, body) {
 		callback(error, body);
 	});
 };
 
 /**
- * @private
- * @param  {params}   filter   Optional, {"private": true}
- * @callback complete
+ * <b>Add Firewall Rules</b>.
+ * This method adds rules to a firewall. They are validated before the request is sent.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {(Array|Object)} rules      Required, FirewallRules or plain rules, or { inbound_rules: [], outbound_rules: [] }
+ * @callback          complete
  * @memberof Digitalocean
- * @method _images
+ * @method firewallAddRules
  */
-Digitalocean.prototype._images = function(params, callback) {
-	this._get('images/', params, function(error, body) {
-		callback(error, body && body.images);
-	}, 'images');
+Digitalocean.prototype.firewallAddRules = function(id, rules, callback) {
+	var options;
+
+	try {
+		options = firewallRules.rulesBody(rules);
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	this._post('firewalls/' + id + '/rules', options, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>All Images</b>.
- * This method returns all the available images that can be accessed by your client ID. You will have access to all public images by default, and any snapshots or backups that you have created in your own account.
+ * <b>Remove Firewall Rules</b>.
+ * This method removes rules from a firewall, they must match the existing rules exactly.
+ * @param {string}    id              Required, this is the id of the firewall
+ * @param {(Array|Object)} rules      Required, FirewallRules or plain rules, or { inbound_rules: [], outbound_rules: [] }
  * @callback          complete
  * @memberof Digitalocean
- * @method imageGetAll
+ * @method firewallRemoveRules
  */
-Digitalocean.prototype.imageGetAll = function(callback) {
-	this._images(null, callback);
+Digitalocean.prototype.firewallRemoveRules = function(id, rules, callback) {
+	var options;
+
+	try {
+		options = firewallRules.rulesBody(rules);
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	this._delete('firewalls/' + id + '/rules', options, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>Global images</b>.
- * This method returns all public images.
+ * <b>All Load Balancers</b>.
+ * This method returns all of your load balancers.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
  * @callback          complete
  * @memberof Digitalocean
- * @method imageGetGlobal
+ * @method loadBalancerGetAll
  */
-Digitalocean.prototype.imageGetDistribution = function(callback) {
-	this._images({type: 'distribution'}, callback);
+Digitalocean.prototype.loadBalancerGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('load_balancers/', parameters, 'load_balancers', callback);
 };
 
 /**
- * <b>Global images</b>.
- * This method returns all public images.
+ * <b>New Load Balancer</b>.
+ * This method creates a new load balancer in front of droplets, given by their ids or by a tag.
+ * @param {string}    name            Required, name of the load balancer
+ * @param {string}    region          Required, slug of the region to create the load balancer in
+ * @param {Array}     forwardingRules Required, [{ entry_protocol, entry_port, target_protocol, target_port, certificate_id, tls_passthrough }]
+ * @param {Object}    optionals       Optional, { droplet_ids: [], tag, algorithm: 'round_robin', redirect_http_to_https: false, enable_proxy_protocol: false,<br>
+ *                                    health_check: { protocol, port, path, check_interval_seconds, response_timeout_seconds, healthy_threshold, unhealthy_threshold },<br>
+ *                                    sticky_sessions: { type: 'cookies', cookie_name, cookie_ttl_seconds } }
  * @callback          complete
  * @memberof Digitalocean
- * @method imageGetGlobal
+ * @method loadBalancerNew
  */
-Digitalocean.prototype.imageGetApplication = function(callback) {
-	this._images({type: 'application'}, callback);
-};
+Digitalocean.prototype.loadBalancerNew = function(name, region, forwardingRules, optionals, callback) {
+	if (typeof optionals === 'function') {
+		callback = optionals;
+		optionals = {};
+	}
+
+	var options = {
+		name: name,
+		region: region,
+		forwarding_rules: forwardingRules
+	};
+	options = extend(options, optionals);
 
+	this._post('load_balancers/', options, function(error, body) {
+		callback(error, body && body.load_balancer);
+	}, 'load_balancer');
+};
 
 /**
- * <b>Mine images</b>.
- * This method returns snapshots or backups that you have created in your own account.
+ * <b>Show Load Balancer</b>.
+ * This method returns a load balancer with its configuration and droplets.
+ * @param {string}    id              Required, this is the id of the load balancer
  * @callback          complete
  * @memberof Digitalocean
- * @method imageGetMine
+ * @method loadBalancerGet
  */
-Digitalocean.prototype.imageGetMine = function(callback) {
-	this._images({private: 'true'}, callback);
+Digitalocean.prototype.loadBalancerGet = function(id, callback) {
+	this._get('load_balancers/' + id, {}, function(error, body) {
+		callback(error, body && body.load_balancer);
+	}, 'load_balancer');
 };
 
 /**
- * <b>Show Image</b>.
- * This method displays the attributes of an image.
- * @param {number}    id              Required, this is the id of the image you would like to use to rebuild your droplet with
+ * <b>Update Load Balancer</b>.
+ * This method replaces a load balancer's configuration, e.g. its health check or sticky sessions. Attributes left out are reset to their defaults.
+ * @param {string}    id              Required, this is the id of the load balancer
+ * @param {Object}    loadBalancer    Required, { name, region, forwarding_rules, droplet_ids, tag, algorithm, health_check, sticky_sessions, ... } as for loadBalancerNew
  * @callback          complete
  * @memberof Digitalocean
- * @method imageGet
+ * @method loadBalancerUpdate
  */
-Digitalocean.prototype.imageGet = function(id, callback) {
-	this._get('images/' + id + '/', {}, function(error, body) {
-		callback(error, body.image);
-	}, 'image');
+Digitalocean.prototype.loadBalancerUpdate = function(id, loadBalancer, callback) {
+	this._put('load_balancers/' + id, loadBalancer, function(error, body) {
+		callback(error, body && body.load_balancer);
+	}, 'load_balancer');
 };
 
 /**
- * <b>Destroy Image</b>.
- * This method allows you to destroy an image. There is no way to restore a deleted image so be careful and ensure your data is properly backed up.
- * @param {number}    id              Required, this is the id of the image you would like to destroy
+ * <b>Destroy Load Balancer</b>.
+ * This method deletes a load balancer, its droplets are left running.
+ * @param {string}    id              Required, this is the id of the load balancer you want to destroy
  * @callback          complete
  * @memberof Digitalocean
- * @method imageDestroy
+ * @method loadBalancerDestroy
  */
-Digitalocean.prototype.imageDestroy = function(id, callback) {
-	this._delete('images/' + id + '/', {}, function(error, body) {
+Digitalocean.prototype.loadBalancerDestroy = function(id, callback) {
+	this._delete('load_balancers/' + id, {}, function(error, body) {
 		callback(error, body);
 	});
 };
 
 /**
- * <b>Transfer Image</b>.
- * This method allows you to transfer an image to a specified region.
- * @param {number}    id              Required, this is the id of the image you would like to transfer.
- * @param {number}    regionId        Required, this is the id of the region to which you would like to transfer.
+ * <b>Add Droplets to Load Balancer</b>.
+ * This method puts droplets behind a load balancer that doesn't use a tag.
+ * @param {string}    id              Required, this is the id of the load balancer
+ * @param {Array}     dropletIds      Required, ids of the droplets
  * @callback          complete
  * @memberof Digitalocean
- * @method imageTransfer
+ * @method loadBalancerAddDroplets
  */
-Digitalocean.prototype.imageTransfer = function(id, regionId, callback) {
-	this._post('images/' + id + '/actions', {type: 'transfer', region: regionId}, function(error, body) {
-		callback(error, body && body.action);
-	}, 'action');
+Digitalocean.prototype.loadBalancerAddDroplets = function(id, dropletIds, callback) {
+	this._post('load_balancers/' + id + '/droplets', {droplet_ids: dropletIds}, function(error, body) {
+		callback(error, body);
+	});
 };
 
-
 /**
- * <b>All SSH Keys</b>.
- * This method lists all the available public SSH keys in your account that can be added to a droplet.
+ * <b>Remove Droplets from Load Balancer</b>.
+ * This method takes droplets out from behind a load balancer.
+ * @param {string}    id              Required, this is the id of the load balancer
+ * @param {Array}     dropletIds      Required, ids of the droplets
  * @callback          complete
  * @memberof Digitalocean
- * @method sshKeyGetAll
+ * @method loadBalancerRemoveDroplets
  */
-Digitalocean.prototype.sshKeyGetAll = function(callback) {
-	this._get('account/keys/', {}, function(error, body) {
+Digitalocean.prototype.loadBalancerRemoveDroplets = function(id, dropletIds, callback) {
+	this._delete('load_balancers/' + id + '/droplets', {droplet_ids: dropletIds}, function(error, body) {
 		callback(error, body);
-	}, 'ssh_keys');
+	});
 };
 
 /**
- * <b>Add SSH Key</b>.
- * This method allows you to add a new public SSH key to your account.
- * @param {string}    name            Required, the name you want to give this SSH key.
- * @param {string}    pubKey          Required, the actual public SSH key.
+ * <b>Add Forwarding Rules</b>.
+ * This method adds forwarding rules to a load balancer.
+ * @param {string}    id              Required, this is the id of the load balancer
+ * @param {Array}     forwardingRules Required, [{ entry_protocol, entry_port, target_protocol, target_port, certificate_id, tls_passthrough }]
  * @callback          complete
  * @memberof Digitalocean
- * @method sshKeyAdd
+ * @method loadBalancerAddForwardingRules
  */
-Digitalocean.prototype.sshKeyAdd = function(name, pubKey, callback) {
-	this._post('account/keys/', {name: name, public_key: pubKey}, function(error, body) {
-		callback(error, body && body.ssh_key);
-	}, 'ssh_key');
+Digitalocean.prototype.loadBalancerAddForwardingRules = function(id, forwardingRules, callback) {
+	this._post('load_balancers/' + id + '/forwarding_rules', {forwarding_rules: forwardingRules}, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>Show SSH Key</b>.
- * This method shows a specific public SSH key in your account that can be added to a droplet.
- * @param {number}    id              Required, this is the id of the ssh key you would like to get information on.
+ * <b>Remove Forwarding Rules</b>.
+ * This method removes forwarding rules from a load balancer, they must match the existing rules exactly.
+ * @param {string}    id              Required, this is the id of the load balancer
+ * @param {Array}     forwardingRules Required, [{ entry_protocol, entry_port, target_protocol, target_port, certificate_id, tls_passthrough }]
  * @callback          complete
  * @memberof Digitalocean
- * @method sshKeyGet
+ * @method loadBalancerRemoveForwardingRules
  */
-Digitalocean.prototype.sshKeyGet = function(id, callback) {
-	this._get('account/keys/' + id, {}, function(error, body) {
-		callback(error, body && body.ssh_key);
-	}, 'ssh_key');
+Digitalocean.prototype.loadBalancerRemoveForwardingRules = function(id, forwardingRules, callback) {
+	this._delete('load_balancers/' + id + '/forwarding_rules', {forwarding_rules: forwardingRules}, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>Edit SSH Key</b>.
- * This method allows you to modify an existing public SSH key in your account.
- * @param {type}      id              Required, this is the id of the ssh key you would like to edit.
- * @param {string}    pubKey          Required, the public SSH key.
+ * <b>Show Account</b>.
+ * This method shows the account the token belongs to: its droplet_limit, floating_ip_limit, email, email_verified, status and status_message.
  * @callback          complete
  * @memberof Digitalocean
- * @method sshKeyEdit
+ * @method accountGet
  */
-Digitalocean.prototype.sshKeyUpdate = function(id, name, callback) {
-	this._put('account/keys/' + id, {name: name}, function(error, body) {
-		callback(error, body && body.ssh_key);
-	}, 'ssh_key');
+Digitalocean.prototype.accountGet = function(callback) {
+	this._get('account', {}, function(error, body) {
+		callback(error, body && body.account);
+	}, 'account');
 };
 
 /**
- * <b>Destroy SSH Key</b>.
- * This method will delete the SSH key from your account.
- * @param {number}    id              Required, this is the id of the ssh key you would like to destroy.
+ * <b>Show Balance</b>.
+ * This method shows the balance of the account: month_to_date_balance, account_balance, month_to_date_usage and generated_at.
  * @callback          complete
  * @memberof Digitalocean
- * @method sshKeyDestroy
+ * @method balanceGet
  */
-Digitalocean.prototype.sshKeyDestroy = function(id, callback) {
-	this._delete('account/keys/' + id, {}, function(error, body) {
+Digitalocean.prototype.balanceGet = function(callback) {
+	this._get('customers/my/balance', {}, function(error, body) {
 		callback(error, body);
 	});
 };
 
-
 /**
- * <b>All Sizes</b>.
- * This method returns all the available sizes that can be used to create a droplet.
- * @callback    complete
+ * <b>List Invoices</b>.
+ * This method lists the invoices of the account, newest first.
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
  * @memberof Digitalocean
- * @method sizeGetAll
+ * @method invoiceGetAll
  */
-Digitalocean.prototype.sizeGetAll = function(callback) {
-	this._get('sizes/', {}, function(error, body) {
-		callback(error, body.sizes);
-	}, 'sizes');
-};
+Digitalocean.prototype.invoiceGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
 
+	this._getAll('customers/my/invoices', parameters, 'invoices', callback);
+};
 
 /**
- * <b>All Domains</b>.
- * This method returns all of your current domains.
- * @callback    complete
+ * <b>Show Invoice</b>.
+ * This method lists the items of an invoice.
+ * @param {string}    uuid            Required, the invoice_uuid of the invoice
+ * @param {Object}    parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback          complete
  * @memberof Digitalocean
- * @method domainGetAll
+ * @method invoiceGet
  */
-Digitalocean.prototype.domainGetAll = function(callback) {
-	this._get('domains/', {}, function(error, body) {
-		callback(error, body.domains);
-	}, 'domains');
+Digitalocean.prototype.invoiceGet = function(uuid, parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
+
+	this._getAll('customers/my/invoices/' + uuid, parameters, 'invoice_items', callback);
 };
 
 /**
- * <b>New Domain</b>.
- * This method creates a new domain name with an A record for the specified [ip_address].
- * @param {string}    name            Required, name of the domain.
- * @param {string}    ipAddress       Required, ip address for the domain's initial a record.
+ * <b>Show Invoice Summary</b>.
+ * This method shows the totals of an invoice: amount, billing_period, product_charges, overages, taxes and credits_and_adjustments.
+ * @param {string}    uuid            Required, the invoice_uuid of the invoice
  * @callback          complete
  * @memberof Digitalocean
- * @method domainNew
+ * @method invoiceSummaryGet
  */
-Digitalocean.prototype.domainNew = function(name, ipAddress, callback) {
-	this._post('domains/', {name: name, ip_address: ipAddress}, function(error, body) {
-		callback(error, body && body.domain);
-	}, 'domain');
+Digitalocean.prototype.invoiceSummaryGet = function(uuid, callback) {
+	this._get('customers/my/invoices/' + uuid + '/summary', {}, function(error, body) {
+		callback(error, body);
+	});
 };
 
 /**
- * <b>Domain Show</b>.
- * This method returns the specified domain.
- * @param {(number|string)} id         Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
- * @callback                complete
+ * <b>Download Invoice</b>.
+ * This method downloads an invoice as a CSV or PDF file and passes its content as a Buffer.
+ * @param {string}    uuid            Required, the invoice_uuid of the invoice
+ * @param {string}    format          Required, 'csv' or 'pdf'
+ * @callback          complete
  * @memberof Digitalocean
- * @method domainGet
+ * @method invoiceDownload
  */
-Digitalocean.prototype.domainGet = function(name, callback) {
-	this._get('domains/' + name, {}, function(error, body) {
-		callback(error, body.domain);
-	}, 'domain');
+Digitalocean.prototype.invoiceDownload = function(uuid, format, callback) {
+	if (INVOICE_FORMATS.indexOf(format) === -1) {
+		return process.nextTick(function() {
+			callback(new errors.ValidationError('format must be one of ' + INVOICE_FORMATS.join(', ') + ', got "' + format + '"'));
+		});
+	}
+
+	this._request('GET', 'customers/my/invoices/' + uuid + '/' + format, {}, null, callback, null, true);
 };
 
 /**
- * <b>Destroy Domain</b>.
- * This method deletes the specified domain.
- * @param {(number|string)} id         Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
- * @callback                complete
+ * <b>Plan Infrastructure</b>.
+ * This method compares the droplets, domains and records of the account with a spec and passes the changes apply would make,
+ * as { changes: [{ action, type, name, ... }], destructive }. DigitalOceanAPI.plan.format(plan) renders it as text.
+ * Droplets are matched by id when the spec gives one, else by name. A droplet in another region or with another image is
+ * replaced, other differences of name, size and tags are updated. With prune droplets, domains and records left out of
+ * the spec are destroyed.
+ * @param {Object}    spec            Required, { droplets: [{ name, region, size, image, ssh_keys, tags, id }], domains: [{ name, records: [] }] }
+ * @param {Object}    options         Optional, { prune: false }
+ * @callback          complete
  * @memberof Digitalocean
- * @method domainDestroy
+ * @method plan
  */
-Digitalocean.prototype.domainDestroy = function(name, callback) {
-	this._delete('domains/' + name, {}, function(error, body) {
-		callback(error, body);
+Digitalocean.prototype.plan = function(spec, options, callback) {
+	var self = this;
+	var current = {records: {}};
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	try {
+		spec = plans.normalizeSpec(spec);
+	} catch (error) {
+		return process.nextTick(function() {
+			callback(error);
+		});
+	}
+
+	series([
+		function(next) {
+			self.dropletGetAll(function(error, droplets) {
+				current.droplets = droplets;
+				next(error);
+			});
+		},
+		function(next) {
+			self.domainGetAll(function(error, domains) {
+				current.domains = domains;
+				next(error);
+			});
+		},
+		function(next) {
+			series(spec.domains.filter(function(domain) {
+				return current.domains.some(function(existing) {
+					return existing.name === domain.name;
+				});
+			}).map(function(domain) {
+				return function(done) {
+					self.domainRecordGetAll(domain.name, function(error, list) {
+						current.records[domain.name] = list;
+						done(error);
+					});
+				};
+			}), next);
+		}
+	], function(error) {
+		if (error) {
+			return callback(error);
+		}
+
+		callback(null, plans.diff(current, spec, options));
 	});
 };
 
 /**
- * <b>All Domain Records</b>.
- * This method returns all of your current domain records.
- * @param {(number|string)} id         Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
- * @callback                complete
+ * <b>Apply Infrastructure</b>.
+ * This method makes the account match a spec, or carries out a plan passed by plan, in the plan's order: it creates, updates
+ * and replaces droplets first, waiting for their actions, then creates domains and records, and destroys last. Resizing powers a droplet
+ * off and on again. Plans destroying or replacing anything are refused unless allowDestroy is set. The plan is passed
+ * once it's applied, when a change fails the error's applied holds the changes made so far.
+ * @param {Object}    spec            Required, spec as taken by plan, or a plan
+ * @param {Object}    options         Optional, { prune: false, allowDestroy: false, interval, timeout }, interval and timeout of the waits
+ * @callback          complete
  * @memberof Digitalocean
- * @method domainRecordGetAll
+ * @method apply
  */
-Digitalocean.prototype.domainRecordGetAll = function(name, callback) {
-	this._get('domains/' + name + '/records/', {}, function(error, body) {
-		callback(error, body.domain_records);
-	}, 'domain_records');
+Digitalocean.prototype.apply = function(spec, options, callback) {
+	var self = this;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	var run = function(plan) {
+		var applied = [];
+
+		if (plan.destructive && !options.allowDestroy) {
+			var error = new errors.ValidationError('The plan destroys resources, set allowDestroy to apply it:\n' +
+				plans.format({changes: plan.changes.filter(plans.isDestructive)}));
+			error.plan = plan;
+
+			return callback(error);
+		}
+
+		series(plan.changes.map(function(change) {
+			return function(next) {
+				self._applyChange(change, options, function(error) {
+					if (!error) {
+						applied.push(change);
+					}
+
+					next(error);
+				});
+			};
+		}), function(error) {
+			if (error) {
+				error.applied = applied;
+				error.plan = plan;
+				return callback(error);
+			}
+
+			callback(null, plan);
+		});
+	};
+
+	if (spec && Array.isArray(spec.changes)) {
+		return process.nextTick(function() {
+			run(spec);
+		});
+	}
+
+	this.plan(spec, options, function(error, plan) {
+		if (error) {
+			return callback(error);
+		}
+
+		run(plan);
+	});
 };
 
 /**
- * <b>New Domain Record</b>.
- * This method creates a new domain name with an A record for the specified [ip_address].
- * @param {(number|string)} id        Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
- * @param {string}         recordType Required, the type of record you would like to create. 'A', 'CNAME', 'NS', 'TXT', 'MX' or 'SRV'
- * @param {string}         data       Required, this is the value of the record
- * @param {Object}         optionals  { name, priority, port, weight }<br>- name is required for 'A', 'CNAME', 'TXT' and 'SRV' records<br>- priority is required for 'SRV' and 'MX' records<br>- port is required for 'SRV' records<br>- weight is required for 'SRV' records
- * @callback               complete
+ * <b>Helper to carry out a change of a plan</b>.
+ *
+ * @private
+ * @param {Object}    change          the change
+ * @param {Object}    options         { interval, timeout } of the waits
+ * @callback          complete
  * @memberof Digitalocean
- * @method domainRecordNew
+ * @method _applyChange
  */
+Digitalocean.prototype._applyChange = function(change, options, callback) {
+	var self = this;
+	var wait = {wait: true, interval: options.interval, timeout: options.timeout};
 
-Digitalocean.prototype.domainRecordNew = function(name, recordType, data, optionals, callback) {
-	var options = {
-		name: name,
-		type: recordType,
-		data: data
+	var create = function(desired, done) {
+		self.dropletNew(desired.name, desired.region, desired.size, desired.image, {ssh_keys: desired.ssh_keys, tags: desired.tags}, function(error, droplet) {
+			if (error || droplet.dry_run) {
+				return done(error, droplet);
+			}
+
+			self.waitForDropletStatus(droplet.id, 'active', {interval: options.interval, timeout: options.timeout}, done);
+		});
 	};
-	options = extend(options, optionals);
 
-	this._post('domains/' + name + '/records', options, function(error, body) {
-		callback(error, body && body);
-	});
+	if (change.type === 'domain') {
+		return change.action === 'create' ? this.domainNew(change.name, undefined, callback) : this.domainDestroy(change.name, callback);
+	}
+
+	if (change.type === 'record') {
+		switch (change.action) {
+			case 'create':
+				return this.domainRecordNew(change.domain, change.desired.name, change.desired.type, change.desired.data,
+					records.recordOptionals(change.desired), callback);
+			case 'update':
+				return this.domainRecordEdit(change.domain, change.id, change.changes.name, change.changes.type, change.changes.data,
+					records.recordOptionals(change.changes), callback);
+			default:
+				return this.domainRecordDestroy(change.domain, change.id, callback);
+		}
+	}
+
+	switch (change.action) {
+		case 'create':
+			return create(change.desired, callback);
+		case 'replace':
+			return create(change.desired, function(error) {
+				if (error) {
+					return callback(error);
+				}
+
+				self.dropletDestroy(change.id, callback);
+			});
+		case 'destroy':
+			return this.dropletDestroy(change.id, callback);
+	}
+
+	var id = change.id;
+	var changes = change.changes;
+	var tasks = [];
+
+	if (changes.name) {
+		tasks.push(function(next) {
+			self.dropletRename(id, changes.name, wait, next);
+		});
+	}
+
+	if (changes.size) {
+		if (change.current.status === 'active') {
+			tasks.push(function(next) {
+				self.dropletPowerOff(id, wait, next);
+			});
+		}
+
+		tasks.push(function(next) {
+			self.dropletResize(id, changes.size, wait, next);
+		});
+
+		if (change.current.status === 'active') {
+			tasks.push(function(next) {
+				self.dropletPowerOn(id, wait, next);
+			});
+		}
+	}
+
+	if (changes.tags) {
+		changes.tags.add.forEach(function(tag) {
+			tasks.push(function(next) {
+				self.tagNew(tag, function(error) {
+					// creating an existing tag succeeds, or fails with a 422 saying it already exists
+					if (error && !(error.statusCode === 422 && /already exists/i.test(error.message))) {
+						return next(error);
+					}
+
+					self.tagResources(tag, [id], next);
+				});
+			});
+		});
+
+		changes.tags.remove.forEach(function(tag) {
+			tasks.push(function(next) {
+				self.untagResources(tag, [id], next);
+			});
+		});
+	}
+
+	series(tasks, callback);
 };
 
 /**
- * <b>Show Domain Record</b>.
- * This method returns the specified domain record.
- * @param {(number|string)} id         Required, Integer or Domain Name (e.g. domain.com), specifies the domain for which to retrieve a record.
- * @param {number}         recordId    Required, specifies the record_id to retrieve.
- * @callback               complete
+ * <b>Show action</b>.
+ * This method is primarily used to report on the progress of an action.
+ * @param {number}     id              Required, this is the id of the action you would like more information about.
+ * @callback           complete
  * @memberof Digitalocean
- * @method domainRecordGet
+ * @method actionsGet
  */
-Digitalocean.prototype.domainRecordGet = function(name, recordId, callback) {
-	this._get('domains/' + name + '/records/' + recordId, {}, function(error, body) {
-		callback(error, body.domain_record);
-	}, 'domain_record');
+Digitalocean.prototype.actionsGet = function(id, callback) {
+	this._get('actions/' + id, {}, function(error, body) {
+		callback(error, body && body.action);
+	}, 'action');
 };
 
+
 /**
- * <b>Edit Domain Record</b>.
- * This method edits an existing domain record.
- * @param {(number|string)} id        Required, Integer or Domain Name (e.g. domain.com), specifies the domain to display.
- * @param {number}         recordId   Required, specifies the record to update.
- * @param {string}         recordType Required, the type of record you would like to create. 'A', 'CNAME', 'NS', 'TXT', 'MX' or 'SRV'
- * @param {string}         data       Required, this is the value of the record
- * @param {Object}         optionals  { name, priority, port, weight }<br>- name is required for 'A', 'CNAME', 'TXT' and 'SRV' records<br>- priority is required for 'SRV' and 'MX' records<br>- port is required for 'SRV' records<br>- weight is required for 'SRV' records
- * @callback               complete
+ * <b>All actions</b>.
+ * This method returns every action that has been executed on your account, newest first.
+ * @param {Object}     parameters      Optional, { page, per_page, onPage }, every page is fetched unless page is given
+ * @callback           complete
  * @memberof Digitalocean
- * @method domainRecordEdit
+ * @method actionsGetAll
  */
-Digitalocean.prototype.domainRecordEdit = function(name, recordId, recordType, data, optionals, callback) {
-	var options = {
-		name: name,
-		type: recordType,
-		data: data
-	};
-	options = extend(options, optionals);
+Digitalocean.prototype.actionsGetAll = function(parameters, callback) {
+	if (typeof parameters === 'function') {
+		callback = parameters;
+		parameters = {};
+	}
 
-	this._put('domains/' + name + '/records/' + recordId, options, function(error, body) {
-		callback(error, body && body.domain_record);
-	}, 'domain_record');
+	this._getAll('actions/', parameters, 'actions', callback);
 };
 
 /**
- * <b>Destroy Domain Record</b>.
- * This method deletes the specified domain record.
- * @param {(number|string)} id        Required, Integer or Domain Name (e.g. domain.com), specifies the domain for which to destroy a record.
- * @param {number}         recordId   Required, specifies which record to destroy.
- * @callback               complete
+ * <b>Wait for action</b>.
+ * This method polls an action until it has completed. It fails with an ActionError when the action errored and a TimeoutError
+ * when the timeout passed, the action attached as error.action.
+ * @param {(Object|number)} action     Required, the action returned by an action method or its id
+ * @param {Object}     options         Optional, { interval: 5000, timeout: 600000 } in milliseconds
+ * @callback           complete
  * @memberof Digitalocean
- * @method domainRecordDestroy
+ * @method waitForAction
  */
-Digitalocean.prototype.domainRecordDestroy = function(name, recordId, callback) {
-	this._delete('domains/' + name + '/records/' + recordId, {}, function(error, body) {
-		callback(error, body);
+Digitalocean.prototype.waitForAction = function(action, options, callback) {
+	var self = this;
+	var id = typeof action === 'object' ? action.id : action;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	this._poll(function(next) {
+		self.actionsGet(id, function(error, action) {
+			if (!error && action.status === 'errored') {
+				error = new errors.ActionError('Action ' + id + ' (' + action.type + ') errored', {action: action});
+			}
+
+			next(error, action && action.status === 'completed', action);
+		});
+	}, options, function(error, action, timedOut) {
+		if (timedOut) {
+			error = new errors.TimeoutError('Timed out waiting for action ' + id + ' to complete', {action: action});
+		}
+
+		callback(error, action);
 	});
 };
 
 /**
- * <b>Show event</b>.
- * This method is primarily used to report on the progress of an event by providing the percentage of completion.
- * @param {number}     id              Required, this is the id of the event you would like more information about.
- * @callback           complete
- * @memberof Digitalocean
- * @method eventGet
+ * <b>Promise support</b>.
+ * Every public method returns a Promise resolving to the callback's data when it's called without a callback.
+ * The callback is always passed in the method's last parameter, so optional parameters may be left out.
+ * List methods' meta is kept as the non-enumerable meta property of the items.
  */
-Digitalocean.prototype.actionsGet = function(id, callback) {
-	this._get('actions/' + id, {}, function(error, body) {
-		callback(error, body.action);
-	}, 'action');
-};
+Object.keys(Digitalocean.prototype).forEach(function(name) {
+	var method = Digitalocean.prototype[name];
 
+	if (name.charAt(0) === '_' || typeof method !== 'function' || SYNC_METHODS.indexOf(name) !== -1) {
+		return;
+	}
 
-/**
- * <b>Show event</b>.
- * This method is primarily used to report on the progress of an event by providing the percentage of completion.
- * @param {number}     id              Required, this is the id of the event you would like more information about.
- * @callback           complete
- * @memberof Digitalocean
- * @method eventGet
- */
-Digitalocean.prototype.actionsGetAll = function(callback) {
-	this._get('actions/', {}, function(error, body) {
-		callback(error, body.actions);
-	}, 'actions');
-};
\ No newline at end of file
+	Digitalocean.prototype[name] = function() {
+		var self = this;
+		var args = Array.prototype.slice.call(arguments);
+
+		if (typeof args[args.length - 1] === 'function') {
+			return method.apply(this, args);
+		}
+
+		return new Promise(function(resolve, reject) {
+			while (args.length < method.length - 1) {
+				args.push(undefined);
+			}
+
+			args.push(function(error, data, meta) {
+				if (error) {
+					return reject(error);
+				}
+
+				if (meta && Array.isArray(data)) {
+					Object.defineProperty(data, 'meta', {value: meta});
+				}
+
+				resolve(data);
+			});
+
+			method.apply(self, args);
+		});
+	};
+});
@@ -0,0 +1,174 @@
+var util = require('util');
+
+/**
+ * <b>DigitalOcean API Error</b>.
+ * Base class of every error passed by the client. Errors for non-2xx responses carry the response's metadata.
+ * @constructor
+ * @param {string}    message         description of the error
+ * @param {Object}    properties      Optional, { statusCode, id, headers, requestId, body }
+ */
+var DigitalOceanError = function(message, properties) {
+	Error.call(this);
+
+	if (Error.captureStackTrace) {
+		Error.captureStackTrace(this, this.constructor);
+	}
+
+	this.message = message;
+
+	for (var key in properties) {
+		if (properties.hasOwnProperty(key)) {
+			this[key] = properties[key];
+		}
+	}
+};
+util.inherits(DigitalOceanError, Error);
+DigitalOceanError.prototype.name = 'DigitalOceanError';
+
+/**
+ * <b>Not Found Error</b>.
+ * The requested resource does not exist, status 404.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var NotFoundError = function() {
+	DigitalOceanError.apply(this, arguments);
+};
+util.inherits(NotFoundError, DigitalOceanError);
+NotFoundError.prototype.name = 'NotFoundError';
+
+/**
+ * <b>Rate Limit Error</b>.
+ * The hourly request quota is used up, status 429. rateLimit holds { limit, remaining, reset } from the response headers.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var RateLimitError = function() {
+	DigitalOceanError.apply(this, arguments);
+
+	var headers = this.headers || {};
+	this.rateLimit = {
+		limit: Number(headers['ratelimit-limit']),
+		remaining: Number(headers['ratelimit-remaining']),
+		reset: Number(headers['ratelimit-reset'])
+	};
+};
+util.inherits(RateLimitError, DigitalOceanError);
+RateLimitError.prototype.name = 'RateLimitError';
+
+/**
+ * <b>Authentication Error</b>.
+ * The token is missing, invalid or lacks the required scope, status 401 or 403.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var AuthenticationError = function() {
+	DigitalOceanError.apply(this, arguments);
+};
+util.inherits(AuthenticationError, DigitalOceanError);
+AuthenticationError.prototype.name = 'AuthenticationError';
+
+/**
+ * <b>Validation Error</b>.
+ * The request was rejected because of invalid parameters, status 400 or 422.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var ValidationError = function() {
+	DigitalOceanError.apply(this, arguments);
+};
+util.inherits(ValidationError, DigitalOceanError);
+ValidationError.prototype.name = 'ValidationError';
+
+/**
+ * <b>Network Error</b>.
+ * No response was received. code holds the system error code (e.g. 'ECONNRESET') and cause the original error.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var NetworkError = function() {
+	DigitalOceanError.apply(this, arguments);
+};
+util.inherits(NetworkError, DigitalOceanError);
+NetworkError.prototype.name = 'NetworkError';
+
+/**
+ * <b>Timeout Error</b>.
+ * Waiting for an action or a droplet status took longer than the timeout. action or droplet holds the last one seen.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var TimeoutError = function() {
+	DigitalOceanError.apply(this, arguments);
+};
+util.inherits(TimeoutError, DigitalOceanError);
+TimeoutError.prototype.name = 'TimeoutError';
+
+/**
+ * <b>Action Error</b>.
+ * An action waited for ended with the status 'errored'. action holds the action.
+ * @constructor
+ * @augments DigitalOceanError
+ */
+var ActionError = function() {
+	DigitalOceanError.apply(this, arguments);
+};
+util.inherits(ActionError, DigitalOceanError);
+ActionError.prototype.name = 'ActionError';
+
+var STATUS_ERRORS = {
+	400: ValidationError,
+	401: AuthenticationError,
+	403: AuthenticationError,
+	404: NotFoundError,
+	422: ValidationError,
+	429: RateLimitError
+};
+
+/**
+ * Creates the error matching a response's status code.
+ *
+ * @param {Object}    response        HTTP response with statusCode and headers
+ * @param {Object}    body            Optional, parsed response body, { id, message }
+ * @param {string}    message         Optional, overrides the body's message
+ * @return {DigitalOceanError}
+ */
+var fromResponse = function(response, body, message) {
+	var ErrorClass = STATUS_ERRORS[response.statusCode] || DigitalOceanError;
+	var headers = response.headers || {};
+	body = body && typeof body === 'object' ? body : {};
+
+	return new ErrorClass(message || body.message || body.description || 'Request failed with status ' + response.statusCode, {
+		statusCode: response.statusCode,
+		id: body.id,
+		headers: headers,
+		requestId: headers['x-request-id'] || body.request_id,
+		body: body
+	});
+};
+
+/**
+ * Wraps an error of the HTTP transport.
+ *
+ * @param {Error}     error           the transport's error
+ * @return {NetworkError}
+ */
+var fromNetworkError = function(error) {
+	return new NetworkError(error.message, {
+		code: error.code,
+		cause: error
+	});
+};
+
+module.exports = {
+	DigitalOceanError: DigitalOceanError,
+	NotFoundError: NotFoundError,
+	RateLimitError: RateLimitError,
+	AuthenticationError: AuthenticationError,
+	ValidationError: ValidationError,
+	NetworkError: NetworkError,
+	TimeoutError: TimeoutError,
+	ActionError: ActionError,
+	fromResponse: fromResponse,
+	fromNetworkError: fromNetworkError
+};
@@ -0,0 +1,235 @@
+var net = require('net');
+var errors = require('./errors');
+
+var PROTOCOLS = ['tcp', 'udp', 'icmp'];
+var TARGETS = ['addresses', 'droplet_ids', 'load_balancer_uids', 'tags'];
+
+/**
+ * Throws a ValidationError unless the condition holds.
+ *
+ * @private
+ * @param {boolean}   condition       what must hold
+ * @param {string}    message         description of the problem
+ */
+var check = function(condition, message) {
+	if (!condition) {
+		throw new errors.ValidationError(message);
+	}
+};
+
+/**
+ * Whether a port is an integer between 1 and 65535.
+ *
+ * @private
+ * @param {string}    port            port number
+ * @return {boolean}
+ */
+var isPort = function(port) {
+	return /^\d+$/.test(port) && Number(port) >= 1 && Number(port) <= 65535;
+};
+
+/**
+ * Validates the ports of a rule: a port, a range like '8000-9000' or 'all'. ICMP rules have none.
+ *
+ * @private
+ * @param {string}    protocol        'tcp', 'udp' or 'icmp'
+ * @param {string}    ports           ports of the rule
+ */
+var checkPorts = function(protocol, ports) {
+	if (protocol === 'icmp') {
+		return check(ports === undefined || ports === '0', 'icmp rules have no ports');
+	}
+
+	ports = String(ports);
+	var range = ports.split('-');
+
+	check(ports === 'all' || ports === '0' || (range.length === 1 && isPort(range[0])) ||
+		(range.length === 2 && isPort(range[0]) && isPort(range[1]) && Number(range[0]) <= Number(range[1])),
+		'ports must be a port, a range like "8000-9000" or "all", got "' + ports + '"');
+};
+
+/**
+ * Validates the sources or destinations of a rule.
+ *
+ * @private
+ * @param {Object}    targets         { addresses, droplet_ids, load_balancer_uids, tags }
+ * @param {string}    name            'sources' or 'destinations'
+ */
+var checkTargets = function(targets, name) {
+	check(targets && typeof targets === 'object', name + ' are required');
+
+	var keys = Object.keys(targets);
+	check(keys.length > 0, name + ' must not be empty');
+
+	keys.forEach(function(key) {
+		check(TARGETS.indexOf(key) !== -1, name + ' may only have ' + TARGETS.join(', ') + ', got "' + key + '"');
+		check(Array.isArray(targets[key]), name + '.' + key + ' must be an array');
+	});
+
+	(targets.addresses || []).forEach(function(address) {
+		var parts = String(address).split('/');
+		var version = net.isIP(parts[0]);
+		var prefix = parts[1];
+
+		check(version && (prefix === undefined || (/^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128))),
+			'"' + address + '" is not an IP address or CIDR block');
+	});
+
+	(targets.droplet_ids || []).forEach(function(id) {
+		check(typeof id === 'number' && id % 1 === 0, 'droplet_ids must be numbers, got "' + id + '"');
+	});
+
+	(targets.tags || []).forEach(function(tag) {
+		check(/^[a-zA-Z0-9_\-:]{1,255}$/.test(tag), '"' + tag + '" is not a tag name');
+	});
+};
+
+/**
+ * <b>Firewall Rule</b>.
+ * Builds a validated inbound or outbound firewall rule. Inbound rules take their sources through from(),
+ * outbound rules their destinations through to().
+ * @constructor
+ * @param {string}    direction       Required, 'inbound' or 'outbound'
+ * @param {string}    protocol        Required, 'tcp', 'udp' or 'icmp'
+ * @param {string}    ports           Required except for icmp, a port, a range like '8000-9000' or 'all'
+ */
+var FirewallRule = function(direction, protocol, ports) {
+	check(direction === 'inbound' || direction === 'outbound', 'direction must be "inbound" or "outbound"');
+	check(PROTOCOLS.indexOf(protocol) !== -1, 'protocol must be one of ' + PROTOCOLS.join(', ') + ', got "' + protocol + '"');
+	checkPorts(protocol, ports);
+
+	this.direction = direction;
+	this.protocol = protocol;
+	this.ports = protocol === 'icmp' ? undefined : String(ports);
+	this.targets = null;
+};
+
+/**
+ * <b>Rule sources</b>.
+ * Sets where an inbound rule lets traffic in from.
+ * @param {Object}    sources         Required, { addresses: [], droplet_ids: [], load_balancer_uids: [], tags: [] }
+ * @return {FirewallRule}
+ * @memberof FirewallRule
+ * @method from
+ */
+FirewallRule.prototype.from = function(sources) {
+	check(this.direction === 'inbound', 'outbound rules take destinations through to()');
+	checkTargets(sources, 'sources');
+	this.targets = sources;
+
+	return this;
+};
+
+/**
+ * <b>Rule destinations</b>.
+ * Sets where an outbound rule lets traffic out to.
+ * @param {Object}    destinations    Required, { addresses: [], droplet_ids: [], load_balancer_uids: [], tags: [] }
+ * @return {FirewallRule}
+ * @memberof FirewallRule
+ * @method to
+ */
+FirewallRule.prototype.to = function(destinations) {
+	check(this.direction === 'outbound', 'inbound rules take sources through from()');
+	checkTargets(destinations, 'destinations');
+	this.targets = destinations;
+
+	return this;
+};
+
+/**
+ * <b>Rule as sent to the API</b>.
+ * @return {Object} { protocol, ports, sources } or { protocol, ports, destinations }
+ * @memberof FirewallRule
+ * @method toJSON
+ */
+FirewallRule.prototype.toJSON = function() {
+	var name = this.direction === 'inbound' ? 'sources' : 'destinations';
+	check(this.targets, this.direction + ' ' + this.protocol + ' rule has no ' + name);
+
+	var rule = {protocol: this.protocol};
+
+	if (this.ports !== undefined) {
+		rule.ports = this.ports;
+	}
+
+	rule[name] = this.targets;
+
+	return rule;
+};
+
+/**
+ * Creates an inbound rule, e.g. allowInbound('tcp', '22').from({addresses: ['0.0.0.0/0']}).
+ *
+ * @param {string}    protocol        Required, 'tcp', 'udp' or 'icmp'
+ * @param {string}    ports           Required except for icmp, a port, a range like '8000-9000' or 'all'
+ * @return {FirewallRule}
+ */
+var allowInbound = function(protocol, ports) {
+	return new FirewallRule('inbound', protocol, ports);
+};
+
+/**
+ * Creates an outbound rule, e.g. allowOutbound('udp', '53').to({addresses: ['0.0.0.0/0', '::/0']}).
+ *
+ * @param {string}    protocol        Required, 'tcp', 'udp' or 'icmp'
+ * @param {string}    ports           Required except for icmp, a port, a range like '8000-9000' or 'all'
+ * @return {FirewallRule}
+ */
+var allowOutbound = function(protocol, ports) {
+	return new FirewallRule('outbound', protocol, ports);
+};
+
+/**
+ * Turns a rule given as a plain object into a validated FirewallRule.
+ *
+ * @private
+ * @param {(FirewallRule|Object)} rule  the rule
+ * @param {string}    direction       Optional, 'inbound' or 'outbound', guessed from sources or destinations when left out
+ * @return {FirewallRule}
+ */
+var toRule = function(rule, direction) {
+	if (rule instanceof FirewallRule) {
+		check(!direction || rule.direction === direction, 'expected an ' + direction + ' rule');
+		return rule;
+	}
+
+	check(rule && typeof rule === 'object', 'rules must be objects');
+	direction = direction || (rule.sources ? 'inbound' : 'outbound');
+
+	var built = new FirewallRule(direction, rule.protocol, rule.ports);
+
+	return direction === 'inbound' ? built.from(rule.sources) : built.to(rule.destinations);
+};
+
+/**
+ * Validates rules and splits them by direction. Throws a ValidationError for an invalid rule.
+ *
+ * @param {(Array|Object)} rules      FirewallRules or plain rules, or { inbound_rules: [], outbound_rules: [] }
+ * @return {Object} { inbound_rules, outbound_rules }
+ */
+var rulesBody = function(rules) {
+	var body = {inbound_rules: [], outbound_rules: []};
+
+	if (Array.isArray(rules)) {
+		rules.forEach(function(rule) {
+			rule = toRule(rule);
+			body[rule.direction + '_rules'].push(rule.toJSON());
+		});
+	} else if (rules) {
+		(rules.inbound_rules || []).forEach(function(rule) {
+			body.inbound_rules.push(toRule(rule, 'inbound').toJSON());
+		});
+		(rules.outbound_rules || []).forEach(function(rule) {
+			body.outbound_rules.push(toRule(rule, 'outbound').toJSON());
+		});
+	}
+
+	return body;
+};
+
+module.exports = {
+	FirewallRule: FirewallRule,
+	allowInbound: allowInbound,
+	allowOutbound: allowOutbound,
+	rulesBody: rulesBody
+};
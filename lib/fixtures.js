@@ -0,0 +1,145 @@
+var fs = require('fs');
+var parseUrl = require('url').parse;
+var request = require('request');
+
+var REDACTED = 'Bearer [REDACTED]';
+
+/**
+ * Request query with its keys sorted, for comparing queries regardless of their order.
+ *
+ * @private
+ * @param {Object}    query           parsed query string
+ * @return {Object}
+ */
+var sortedQuery = function(query) {
+	var sorted = {};
+
+	Object.keys(query || {}).sort().forEach(function(name) {
+		sorted[name] = query[name];
+	});
+
+	return sorted;
+};
+
+/**
+ * The parts of a request fixtures are matched by: { method, path, query, body }.
+ *
+ * @private
+ * @param {Object}    options         request options passed to the transport
+ * @return {Object}
+ */
+var describeRequest = function(options) {
+	var url = parseUrl(options.url, true);
+
+	return {
+		method: options.method,
+		path: url.pathname,
+		query: sortedQuery(url.query),
+		body: options.body === undefined ? null : options.body
+	};
+};
+
+/**
+ * Whether a fixture was recorded for the request.
+ *
+ * @private
+ * @param {Object}    fixture         recorded fixture
+ * @param {Object}    described       the request as returned by describeRequest
+ * @return {boolean}
+ */
+var matches = function(fixture, described) {
+	return fixture.request.method === described.method &&
+		fixture.request.path === described.path &&
+		JSON.stringify(sortedQuery(fixture.request.query)) === JSON.stringify(described.query) &&
+		JSON.stringify(fixture.request.body) === JSON.stringify(described.body);
+};
+
+/**
+ * <b>Recording transport</b>.
+ * Sends requests through another transport and saves every request and response to a JSON fixture file, replacing the
+ * file's content. The Authorization header is saved redacted, so fixtures can be committed.
+ * @param {string}    file            Required, path of the fixture file
+ * @param {Function}  transport       Optional, the transport actually sending the requests, the request module by default
+ * @return {Function} transport for the client's transport option
+ */
+var record = function(file, transport) {
+	var fixtures = [];
+	transport = transport || request;
+
+	fs.writeFileSync(file, '[]\n');
+
+	return function(options, callback) {
+		transport(options, function(error, response, body) {
+			if (!error) {
+				var described = describeRequest(options);
+				var headers = {};
+
+				Object.keys(options.headers || {}).forEach(function(name) {
+					headers[name] = name.toLowerCase() === 'authorization' ? REDACTED : options.headers[name];
+				});
+
+				fixtures.push({
+					request: {method: described.method, path: described.path, query: described.query, headers: headers, body: described.body},
+					response: Buffer.isBuffer(body) ?
+						{status: response.statusCode, headers: response.headers, body: body.toString('base64'), encoding: 'base64'} :
+						{status: response.statusCode, headers: response.headers, body: body === undefined ? null : body}
+				});
+
+				fs.writeFileSync(file, JSON.stringify(fixtures, null, '\t') + '\n');
+			}
+
+			callback(error, response, body);
+		});
+	};
+};
+
+/**
+ * <b>Replaying transport</b>.
+ * Answers requests from a fixture file written by record, without network access. A request is answered by the first
+ * unused fixture with the same method, path, query and body, so repeated requests get their responses in the recorded
+ * order. A request without one fails with an error with the code 'EFIXTURE'. The transport's unused() returns the
+ * fixtures that were never requested.
+ * @param {string}    file            Required, path of the fixture file
+ * @return {Function} transport for the client's transport option
+ */
+var replay = function(file) {
+	var fixtures = JSON.parse(fs.readFileSync(file, 'utf8'));
+	var used = [];
+
+	var transport = function(options, callback) {
+		var described = describeRequest(options);
+
+		for (var i = 0; i < fixtures.length; i++) {
+			if (used.indexOf(i) === -1 && matches(fixtures[i], described)) {
+				var response = fixtures[i].response;
+				var body = response.encoding === 'base64' ? Buffer.from(response.body, 'base64') : response.body;
+				used.push(i);
+
+				return process.nextTick(function() {
+					callback(null, {statusCode: response.status, headers: response.headers || {}}, body === null ? undefined : body);
+				});
+			}
+		}
+
+		var error = new Error('No fixture in ' + file + ' matches ' + described.method + ' ' + described.path +
+			' with query ' + JSON.stringify(described.query) + ' and body ' + JSON.stringify(described.body));
+		error.code = 'EFIXTURE';
+
+		process.nextTick(function() {
+			callback(error);
+		});
+	};
+
+	transport.unused = function() {
+		return fixtures.filter(function(fixture, index) {
+			return used.indexOf(index) === -1;
+		});
+	};
+
+	return transport;
+};
+
+module.exports = {
+	record: record,
+	replay: replay
+};
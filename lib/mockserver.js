@@ -0,0 +1,2058 @@
+var http = require('http');
+var crypto = require('crypto');
+var parseUrl = require('url').parse;
+var records = require('./records');
+var sshKey = require('./sshkey');
+var zone = require('./zone');
+
+var PER_PAGE = 20;
+var MAX_PER_PAGE = 200;
+var RATE_LIMIT = 5000;
+var RATE_WINDOW = 60 * 60 * 1000;
+var DROPLET_BATCH = 10;
+var RECORD_TYPES = ['A', 'AAAA', 'CAA', 'CNAME', 'MX', 'NS', 'SOA', 'SRV', 'TXT'];
+var NAMESERVERS = ['ns1.digitalocean.com', 'ns2.digitalocean.com', 'ns3.digitalocean.com'];
+
+var REGIONS = [
+	{slug: 'nyc3', name: 'New York 3'},
+	{slug: 'sfo3', name: 'San Francisco 3'},
+	{slug: 'ams3', name: 'Amsterdam 3'},
+	{slug: 'lon1', name: 'London 1'}
+];
+var SIZES = [
+	{slug: 's-1vcpu-1gb', memory: 1024, vcpus: 1, disk: 25, transfer: 1, price_monthly: 6, price_hourly: 0.00893},
+	{slug: 's-1vcpu-2gb', memory: 2048, vcpus: 1, disk: 50, transfer: 2, price_monthly: 12, price_hourly: 0.01786},
+	{slug: 's-2vcpu-2gb', memory: 2048, vcpus: 2, disk: 60, transfer: 3, price_monthly: 18, price_hourly: 0.02679},
+	{slug: 's-2vcpu-4gb', memory: 4096, vcpus: 2, disk: 80, transfer: 4, price_monthly: 24, price_hourly: 0.03571}
+];
+var IMAGES = [
+	{id: 1001, name: '22.04 (LTS) x64', distribution: 'Ubuntu', slug: 'ubuntu-22-04-x64', type: 'base'},
+	{id: 1002, name: '12 x64', distribution: 'Debian', slug: 'debian-12-x64', type: 'base'},
+	{id: 1003, name: '39 x64', distribution: 'Fedora', slug: 'fedora-39-x64', type: 'base'},
+	{id: 1004, name: 'Docker on Ubuntu 22.04', distribution: 'Ubuntu', slug: 'docker-20-04', type: 'application'}
+];
+var KERNELS = [
+	{id: 7515, name: 'DigitalOcean GrubLoader v0.2 (20160714)', version: '2016.07.13-DigitalOcean_loader_Ubuntu'}
+];
+var INVOICES = [
+	{invoice_uuid: '22737513-0ea7-4206-8ceb-98a575af7681', invoice_period: '2024-01', items: [
+		{product: 'Droplets', description: 'web-1 (s-1vcpu-1gb)', amount: '6.00', duration: '744', duration_unit: 'Hours'},
+		{product: 'Volumes', description: 'data (10 GB)', amount: '1.00', duration: '744', duration_unit: 'Hours'}
+	]},
+	{invoice_uuid: 'fdabb512-6faf-443c-ba2e-665452332a9e', invoice_period: '2023-12', items: [
+		{product: 'Droplets', description: 'web-1 (s-1vcpu-1gb)', amount: '6.00', duration: '744', duration_unit: 'Hours'}
+	]}
+];
+
+/**
+ * Error response body.
+ *
+ * @private
+ * @param {number}    status          HTTP status
+ * @param {string}    id              error id, e.g. 'not_found'
+ * @param {string}    message         description of the error
+ * @return {Object} { status, body }
+ */
+var failure = function(status, id, message) {
+	return {status: status, body: {id: id, message: message}};
+};
+
+/**
+ * 404 response for a missing resource.
+ *
+ * @private
+ * @return {Object} { status, body }
+ */
+var notFound = function() {
+	return failure(404, 'not_found', 'The resource you were accessing could not be found.');
+};
+
+/**
+ * 422 response for invalid parameters.
+ *
+ * @private
+ * @param {string}    message         description of the problem
+ * @return {Object} { status, body }
+ */
+var unprocessable = function(message) {
+	return failure(422, 'unprocessable_entity', message);
+};
+
+/**
+ * Successful response.
+ *
+ * @private
+ * @param {number}    status          HTTP status
+ * @param {Object}    body            Optional, response body
+ * @return {Object} { status, body }
+ */
+var success = function(status, body) {
+	return {status: status, body: body};
+};
+
+/**
+ * Finds the first item the test holds for.
+ *
+ * @private
+ * @param {Array}     items           items to search
+ * @param {Function}  test            function(item)
+ * @return {?Object}
+ */
+var find = function(items, test) {
+	for (var i = 0; i < items.length; i++) {
+		if (test(items[i])) {
+			return items[i];
+		}
+	}
+
+	return null;
+};
+
+/**
+ * Removes an item from an array.
+ *
+ * @private
+ * @param {Array}     items           the array
+ * @param {Object}    item            the item to remove
+ */
+var remove = function(items, item) {
+	var index = items.indexOf(item);
+
+	if (index !== -1) {
+		items.splice(index, 1);
+	}
+};
+
+/**
+ * Deep copy of a JSON value, so responses don't share objects with the server's state.
+ *
+ * @private
+ * @param {*}         value           the value
+ * @return {*}
+ */
+var copy = function(value) {
+	return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * UUID made from a number, for the resources the API identifies by UUID.
+ *
+ * @private
+ * @param {number}    number          the number
+ * @return {string}
+ */
+var uuid = function(number) {
+	return '00000000-0000-4000-8000-' + ('000000000000' + number).slice(-12);
+};
+
+/**
+ * Adds items to a list or removes them from it, items being compared by their JSON.
+ *
+ * @private
+ * @param {Array}     items           the list
+ * @param {Array}     changes         items to add or remove
+ * @param {boolean}   adding          whether to add them
+ */
+var change = function(items, changes, adding) {
+	(changes || []).forEach(function(item) {
+		var json = JSON.stringify(item);
+
+		remove(items, find(items, function(existing) {
+			return JSON.stringify(existing) === json;
+		}));
+
+		if (adding) {
+			items.push(copy(item));
+		}
+	});
+};
+
+/**
+ * <b>Mock DigitalOcean API</b>.
+ * An in-memory server implementing droplets, droplet actions, images, regions, sizes, SSH keys, domains, domain records,
+ * tags, floating IPs, volumes and their snapshots, firewalls, load balancers, actions, the account and its invoices, for running code offline.
+ * Point a client's baseUrl at its url. It answers like the API does:
+ * lists are paginated with links and meta, every response carries rate limit headers and errors have { id, message } bodies.
+ * Actions start 'in-progress' and complete once actionDuration has passed, applying their effect, e.g. a new droplet
+ * becomes 'active' and a powered off one 'off'.
+ * @constructor
+ * @param {Object}    options         Optional, { token, actionDuration: 0, rateLimit: 5000, dropletLimit: 25 }, with a token only requests carrying it are accepted
+ */
+var MockServer = function(options) {
+	options = options || {};
+
+	this.token = options.token || null;
+	this.actionDuration = options.actionDuration || 0;
+	this.rateLimit = options.rateLimit || RATE_LIMIT;
+	this.dropletLimit = options.dropletLimit || 25;
+	this.url = null;
+	this.server = null;
+
+	this.reset();
+};
+module.exports = MockServer;
+
+/**
+ * <b>Reset the state</b>.
+ * Drops everything created so far and restores the built in regions, sizes and images and a full rate limit.
+ * @memberof MockServer
+ * @method reset
+ */
+MockServer.prototype.reset = function() {
+	var self = this;
+
+	this.nextId = 1;
+	this.requests = [];
+	this.failures = [];
+	this.remaining = this.rateLimit;
+	this.resetAt = Date.now() + RATE_WINDOW;
+	this.droplets = [];
+	this.sshKeys = [];
+	this.domains = [];
+	this.records = {};
+	this.actions = [];
+	this.pending = [];
+	this.tags = [];
+	this.floatingIps = [];
+	this.volumes = [];
+	this.snapshots = [];
+	this.firewalls = [];
+	this.loadBalancers = [];
+
+	this.regions = REGIONS.map(function(region) {
+		return {
+			slug: region.slug,
+			name: region.name,
+			sizes: SIZES.map(function(size) {
+				return size.slug;
+			}),
+			features: ['backups', 'ipv6', 'private_networking', 'metadata'],
+			available: true
+		};
+	});
+
+	this.sizes = SIZES.map(function(size) {
+		var result = copy(size);
+		result.available = true;
+		result.regions = REGIONS.map(function(region) {
+			return region.slug;
+		});
+
+		return result;
+	});
+
+	this.images = IMAGES.map(function(image) {
+		var result = copy(image);
+		result.public = true;
+		result.regions = self.regions.map(function(region) {
+			return region.slug;
+		});
+		result.created_at = new Date(0).toISOString();
+		result.min_disk_size = 15;
+		result.size_gigabytes = 2.3;
+		result.status = 'available';
+
+		return result;
+	});
+};
+
+/**
+ * <b>Make the next request fail</b>.
+ * The next request is answered with the given status and error body instead of being handled, e.g. to test retries.
+ * Calling it several times queues several failures.
+ * @param {number}    status          Required, HTTP status, e.g. 500
+ * @param {string}    id              Optional, error id, 'server_error' by default
+ * @param {string}    message         Optional, error message
+ * @memberof MockServer
+ * @method failNext
+ */
+MockServer.prototype.failNext = function(status, id, message) {
+	this.failures.push(failure(status, id || 'server_error', message || 'Server was unable to give you a response.'));
+};
+
+/**
+ * <b>Start listening</b>.
+ * Listens on 127.0.0.1, on a free port unless one is given. The callback gets the base URL for the client, e.g. 'http://127.0.0.1:51234/v2'.
+ * @param {number}    port            Optional, port to listen on
+ * @callback          complete
+ * @memberof MockServer
+ * @method listen
+ */
+MockServer.prototype.listen = function(port, callback) {
+	var self = this;
+
+	if (typeof port === 'function') {
+		callback = port;
+		port = 0;
+	}
+
+	this.server = http.createServer(function(req, res) {
+		self.handle(req, res);
+	});
+
+	this.server.on('error', callback);
+	this.server.listen(port, '127.0.0.1', function() {
+		self.server.removeListener('error', callback);
+		self.url = 'http://127.0.0.1:' + self.server.address().port + '/v2';
+		callback(null, self.url);
+	});
+};
+
+/**
+ * <b>Stop listening</b>.
+ * @callback          complete
+ * @memberof MockServer
+ * @method close
+ */
+MockServer.prototype.close = function(callback) {
+	var server = this.server;
+	this.server = null;
+	this.url = null;
+
+	if (!server) {
+		return process.nextTick(function() {
+			callback && callback();
+		});
+	}
+
+	server.close(function() {
+		callback && callback();
+	});
+};
+
+/**
+ * <b>Handle a request</b>.
+ * The request listener of the server, usable with an own http server as well.
+ * @param {http.IncomingMessage} req  Required, the request
+ * @param {http.ServerResponse} res   Required, the response
+ * @memberof MockServer
+ * @method handle
+ */
+MockServer.prototype.handle = function(req, res) {
+	var self = this;
+	var chunks = [];
+
+	req.on('data', function(chunk) {
+		chunks.push(chunk);
+	});
+
+	req.on('end', function() {
+		var text = Buffer.concat(chunks).toString();
+		var body = {};
+
+		if (text) {
+			try {
+				body = JSON.parse(text);
+			} catch (error) {
+				return self._respond(req, res, failure(400, 'bad_request', 'Unable to parse the request body as JSON.'));
+			}
+		}
+
+		self._respond(req, res, self._dispatch(req, body || {}));
+	});
+};
+
+/**
+ * Writes a response with the rate limit headers, GET responses with an ETag, answering a matching If-None-Match with a 304.
+ *
+ * @private
+ * @param {http.IncomingMessage} req  the request
+ * @param {http.ServerResponse} res   the response
+ * @param {Object}    reply           { status, body, type }, a body with a content type is sent as it is rather than as JSON
+ * @memberof MockServer
+ * @method _respond
+ */
+MockServer.prototype._respond = function(req, res, reply) {
+	var headers = {
+		'RateLimit-Limit': String(this.rateLimit),
+		'RateLimit-Remaining': String(this.remaining),
+		'RateLimit-Reset': String(Math.ceil(this.resetAt / 1000)),
+		'X-Request-Id': 'mock-' + this.requests.length
+	};
+
+	if (reply.body === undefined) {
+		res.writeHead(reply.status, headers);
+		return res.end();
+	}
+
+	var text = reply.type ? reply.body : JSON.stringify(reply.body);
+
+	if (req.method === 'GET' && reply.status === 200) {
+		headers.ETag = '"' + crypto.createHash('sha1').update(text).digest('hex') + '"';
+
+		if (req.headers['if-none-match'] === headers.ETag) {
+			res.writeHead(304, headers);
+			return res.end();
+		}
+	}
+
+	headers['Content-Type'] = reply.type || 'application/json; charset=utf-8';
+	res.writeHead(reply.status, headers);
+	res.end(text);
+};
+
+/**
+ * Checks authentication and the rate limit, then routes the request.
+ *
+ * @private
+ * @param {http.IncomingMessage} req  the request
+ * @param {Object}    body            parsed JSON body
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _dispatch
+ */
+MockServer.prototype._dispatch = function(req, body) {
+	var url = parseUrl(req.url, true);
+	var path = url.pathname.replace(/\/+$/, '');
+
+	this.requests.push({method: req.method, path: path, query: url.query, body: body});
+
+	if (this.token && req.headers.authorization !== 'Bearer ' + this.token) {
+		return failure(401, 'unauthorized', 'Unable to authenticate you.');
+	}
+
+	if (Date.now() >= this.resetAt) {
+		this.remaining = this.rateLimit;
+		this.resetAt = Date.now() + RATE_WINDOW;
+	}
+
+	if (this.remaining === 0) {
+		return failure(429, 'too_many_requests', 'API Rate limit exceeded.');
+	}
+
+	this.remaining--;
+
+	if (this.failures.length) {
+		return this.failures.shift();
+	}
+
+	if (path.indexOf('/v2/') !== 0) {
+		return notFound();
+	}
+
+	this._settle();
+
+	var parts = path.slice(4).split('/').map(decodeURIComponent);
+	var request = {
+		method: req.method,
+		parts: parts,
+		query: url.query,
+		body: body,
+		root: 'http://' + (req.headers.host || '127.0.0.1') + '/v2',
+		baseUrl: 'http://' + (req.headers.host || '127.0.0.1') + path
+	};
+
+	switch (parts[0]) {
+		case 'account':
+			return parts[1] === 'keys' ? this._sshKeys(request) : this._account(request);
+		case 'customers':
+			return parts[1] === 'my' ? this._billing(request) : notFound();
+		case 'actions':
+			return this._actions(request);
+		case 'droplets':
+			return this._droplets(request);
+		case 'images':
+			return this._images(request);
+		case 'regions':
+			return request.method === 'GET' && parts.length === 1 ? this._page(request, 'regions', this.regions) : notFound();
+		case 'sizes':
+			return request.method === 'GET' && parts.length === 1 ? this._page(request, 'sizes', this.sizes) : notFound();
+		case 'domains':
+			return this._domains(request);
+		case 'tags':
+			return this._tags(request);
+		case 'floating_ips':
+			return this._floatingIps(request);
+		case 'volumes':
+			return this._volumes(request);
+		case 'snapshots':
+			return this._snapshots(request);
+		case 'firewalls':
+			return this._firewalls(request);
+		case 'load_balancers':
+			return this._loadBalancers(request);
+		default:
+			return notFound();
+	}
+};
+
+/**
+ * Answers with a page of a list, with links to the other pages and the total in meta.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @param {string}    key             key of the list in the body
+ * @param {Array}     items           the whole list
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _page
+ */
+MockServer.prototype._page = function(request, key, items) {
+	var perPage = Math.min(Number(request.query.per_page) || PER_PAGE, MAX_PER_PAGE);
+	var page = Math.max(Number(request.query.page) || 1, 1);
+	var last = Math.max(Math.ceil(items.length / perPage), 1);
+	var body = {links: {}, meta: {total: items.length}};
+
+	var link = function(number) {
+		var query = [];
+
+		Object.keys(request.query).forEach(function(name) {
+			if (name !== 'page') {
+				query.push(encodeURIComponent(name) + '=' + encodeURIComponent(request.query[name]));
+			}
+		});
+		query.push('page=' + number);
+
+		return request.baseUrl + '?' + query.join('&');
+	};
+
+	body[key] = copy(items.slice((page - 1) * perPage, page * perPage));
+
+	if (page > 1) {
+		body.links.pages = {first: link(1), prev: link(Math.min(page - 1, last))};
+	}
+
+	if (page < last) {
+		body.links.pages = body.links.pages || {};
+		body.links.pages.next = link(page + 1);
+		body.links.pages.last = link(last);
+	}
+
+	return success(200, body);
+};
+
+/**
+ * Completes the actions whose time has come and applies their effects.
+ *
+ * @private
+ * @memberof MockServer
+ * @method _settle
+ */
+MockServer.prototype._settle = function() {
+	var now = Date.now();
+
+	this.pending = this.pending.filter(function(entry) {
+		if (entry.at > now) {
+			return true;
+		}
+
+		entry.action.status = 'completed';
+		entry.action.completed_at = new Date(now).toISOString();
+
+		if (entry.effect) {
+			entry.effect();
+		}
+
+		return false;
+	});
+};
+
+/**
+ * Starts an action, completing it with its effect once actionDuration has passed.
+ *
+ * @private
+ * @param {string}    type            action type
+ * @param {string}    resourceType    'droplet', 'image', 'floating_ip' or 'volume'
+ * @param {(number|string)} resourceId  id of the resource, the address of a floating IP
+ * @param {string}    region          slug of the region
+ * @param {Function}  effect          Optional, applied when the action completes
+ * @return {Object} the action
+ * @memberof MockServer
+ * @method _startAction
+ */
+MockServer.prototype._startAction = function(type, resourceType, resourceId, region, effect) {
+	var action = {
+		id: this.nextId++,
+		status: 'in-progress',
+		type: type,
+		started_at: new Date().toISOString(),
+		completed_at: null,
+		resource_id: resourceId,
+		resource_type: resourceType,
+		region_slug: region
+	};
+
+	this.actions.unshift(action);
+	this.pending.push({action: action, at: Date.now() + this.actionDuration, effect: effect});
+
+	return action;
+};
+
+/**
+ * GET /v2/account.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _account
+ */
+MockServer.prototype._account = function(request) {
+	if (request.method !== 'GET' || request.parts.length !== 1) {
+		return notFound();
+	}
+
+	return success(200, {account: {
+		droplet_limit: this.dropletLimit,
+		floating_ip_limit: 3,
+		email: 'mock@example.com',
+		uuid: 'b6fr89dbf6d9156cace5f3c78dc9851d957381ef',
+		email_verified: true,
+		status: 'active',
+		status_message: ''
+	}});
+};
+
+/**
+ * GET /v2/customers/my/balance, /v2/customers/my/invoices, /v2/customers/my/invoices/:uuid and its summary, csv and pdf.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _billing
+ */
+MockServer.prototype._billing = function(request) {
+	var parts = request.parts;
+
+	var total = function(items) {
+		return items.reduce(function(sum, item) {
+			return sum + Number(item.amount);
+		}, 0).toFixed(2);
+	};
+
+	if (request.method !== 'GET') {
+		return notFound();
+	}
+
+	if (parts[2] === 'balance' && parts.length === 3) {
+		return success(200, {
+			month_to_date_balance: total(INVOICES[0].items),
+			account_balance: '0.00',
+			month_to_date_usage: total(INVOICES[0].items),
+			generated_at: new Date().toISOString()
+		});
+	}
+
+	if (parts[2] !== 'invoices') {
+		return notFound();
+	}
+
+	if (parts.length === 3) {
+		return this._page(request, 'invoices', INVOICES.map(function(invoice) {
+			return {invoice_uuid: invoice.invoice_uuid, amount: total(invoice.items), invoice_period: invoice.invoice_period};
+		}));
+	}
+
+	var invoice = find(INVOICES, function(invoice) {
+		return invoice.invoice_uuid === parts[3];
+	});
+
+	if (!invoice || parts.length > 5) {
+		return notFound();
+	}
+
+	if (parts.length === 4) {
+		return this._page(request, 'invoice_items', copy(invoice.items));
+	}
+
+	switch (parts[4]) {
+		case 'summary':
+			return success(200, {
+				invoice_uuid: invoice.invoice_uuid,
+				billing_period: invoice.invoice_period,
+				amount: total(invoice.items),
+				product_charges: {name: 'Product usage charges', amount: total(invoice.items), items: invoice.items.map(function(item) {
+					return {name: item.product, amount: item.amount, count: '1'};
+				})},
+				overages: {name: 'Overages', amount: '0.00'},
+				taxes: {name: 'Taxes', amount: '0.00'},
+				credits_and_adjustments: {name: 'Credits & adjustments', amount: '0.00'}
+			});
+		case 'csv':
+			return {status: 200, type: 'text/csv', body: ['product,description,amount'].concat(invoice.items.map(function(item) {
+				return [item.product, item.description, item.amount].join(',');
+			})).join('\n') + '\n'};
+		case 'pdf':
+			return {status: 200, type: 'application/pdf', body: '%PDF-1.4\n% invoice ' + invoice.invoice_uuid + '\n%%EOF\n'};
+		default:
+			return notFound();
+	}
+};
+
+/**
+ * /v2/actions and /v2/actions/:id.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _actions
+ */
+MockServer.prototype._actions = function(request) {
+	if (request.method !== 'GET') {
+		return notFound();
+	}
+
+	if (request.parts.length === 1) {
+		return this._page(request, 'actions', this.actions);
+	}
+
+	var action = find(this.actions, function(action) {
+		return String(action.id) === request.parts[1];
+	});
+
+	return action && request.parts.length === 2 ? success(200, {action: copy(action)}) : notFound();
+};
+
+/**
+ * Finds an image by id or slug.
+ *
+ * @private
+ * @param {(number|string)} id        id or slug
+ * @return {?Object}
+ * @memberof MockServer
+ * @method _findImage
+ */
+MockServer.prototype._findImage = function(id) {
+	return find(this.images, function(image) {
+		return String(image.id) === String(id) || (image.slug && image.slug === id);
+	});
+};
+
+/**
+ * /v2/droplets and everything below it.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _droplets
+ */
+MockServer.prototype._droplets = function(request) {
+	var parts = request.parts;
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'droplets', this.droplets.filter(function(droplet) {
+				return !request.query.tag_name || droplet.tags.indexOf(request.query.tag_name) !== -1;
+			}));
+		}
+
+		if (request.method === 'DELETE' && request.query.tag_name) {
+			this.droplets = this.droplets.filter(function(droplet) {
+				return droplet.tags.indexOf(request.query.tag_name) === -1;
+			});
+
+			return success(204);
+		}
+
+		return request.method === 'POST' ? this._createDroplets(request) : notFound();
+	}
+
+	if (parts[1] === 'actions' && parts.length === 2) {
+		return request.method === 'POST' && request.query.tag_name ? this._tagAction(request.query.tag_name, request.body) : notFound();
+	}
+
+	var droplet = find(this.droplets, function(droplet) {
+		return String(droplet.id) === parts[1];
+	});
+
+	if (!droplet) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		if (request.method === 'GET') {
+			return success(200, {droplet: copy(droplet)});
+		}
+
+		if (request.method === 'DELETE') {
+			remove(this.droplets, droplet);
+			return success(204);
+		}
+
+		return notFound();
+	}
+
+	if (parts[2] === 'actions' && parts.length === 3 && request.method === 'POST') {
+		return this._dropletAction(droplet, request.body);
+	}
+
+	if (request.method !== 'GET') {
+		return notFound();
+	}
+
+	if (parts[2] === 'actions' && parts.length === 4) {
+		var action = find(this.actions, function(action) {
+			return String(action.id) === parts[3] && action.resource_id === droplet.id;
+		});
+
+		return action ? success(200, {action: copy(action)}) : notFound();
+	}
+
+	if (parts.length !== 3) {
+		return notFound();
+	}
+
+	switch (parts[2]) {
+		case 'actions':
+			return this._page(request, 'actions', this.actions.filter(function(action) {
+				return action.resource_type === 'droplet' && action.resource_id === droplet.id;
+			}));
+		case 'snapshots':
+			return this._page(request, 'snapshots', this.images.filter(function(image) {
+				return droplet.snapshot_ids.indexOf(image.id) !== -1;
+			}));
+		case 'backups':
+			return this._page(request, 'backups', this.images.filter(function(image) {
+				return droplet.backup_ids.indexOf(image.id) !== -1;
+			}));
+		case 'kernels':
+			return this._page(request, 'kernels', KERNELS);
+		case 'neighbors':
+			return success(200, {droplets: []});
+		default:
+			return notFound();
+	}
+};
+
+/**
+ * POST /v2/droplets, with a name or up to 10 names.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _createDroplets
+ */
+MockServer.prototype._createDroplets = function(request) {
+	var self = this;
+	var body = request.body;
+	var names = body.names || (body.name !== undefined ? [body.name] : []);
+	var region = find(this.regions, function(region) {
+		return region.slug === body.region;
+	});
+	var size = find(this.sizes, function(size) {
+		return size.slug === body.size;
+	});
+	var image = this._findImage(body.image);
+
+	if (!names.length || names.length > DROPLET_BATCH) {
+		return unprocessable('You must provide a name or between 1 and ' + DROPLET_BATCH + ' names.');
+	}
+
+	for (var i = 0; i < names.length; i++) {
+		if (!/^[a-zA-Z0-9.\-]{1,255}$/.test(names[i])) {
+			return unprocessable('Name Only valid hostname characters are allowed. (a-z, A-Z, 0-9, . and -)');
+		}
+	}
+
+	if (!region) {
+		return unprocessable('Region is not available.');
+	}
+
+	if (!size) {
+		return unprocessable('Size is not available.');
+	}
+
+	if (!image) {
+		return unprocessable('You specified an invalid image for Droplet creation.');
+	}
+
+	if (this.droplets.length + names.length > this.dropletLimit) {
+		return unprocessable('Creating these Droplets will exceed your Droplet limit.');
+	}
+
+	var actions = [];
+	var droplets = names.map(function(name) {
+		var id = self.nextId++;
+		var droplet = {
+			id: id,
+			name: name,
+			memory: size.memory,
+			vcpus: size.vcpus,
+			disk: size.disk,
+			locked: false,
+			status: 'new',
+			created_at: new Date().toISOString(),
+			features: body.backups ? ['backups'] : [],
+			backup_ids: [],
+			snapshot_ids: [],
+			volume_ids: [],
+			image: copy(image),
+			size: copy(size),
+			size_slug: size.slug,
+			networks: {
+				v4: [{ip_address: '203.0.113.' + (id % 254 + 1), netmask: '255.255.255.0', gateway: '203.0.113.1', type: 'public'}],
+				v6: []
+			},
+			region: copy(region),
+			tags: (body.tags || []).slice()
+		};
+
+		self.droplets.push(droplet);
+		droplet.tags.forEach(function(tag) {
+			if (self.tags.indexOf(tag) === -1) {
+				self.tags.push(tag);
+			}
+		});
+		actions.push(self._startAction('create', 'droplet', id, region.slug, function() {
+			droplet.status = 'active';
+		}));
+
+		return droplet;
+	});
+
+	var links = {actions: actions.map(function(action) {
+		return {id: action.id, rel: 'create', href: request.root + '/actions/' + action.id};
+	})};
+
+	return body.names ? success(202, {droplets: copy(droplets), links: links}) : success(202, {droplet: copy(droplets[0]), links: links});
+};
+
+/**
+ * POST /v2/droplets/:id/actions.
+ *
+ * @private
+ * @param {Object}    droplet         the droplet
+ * @param {Object}    body            request body, { type, ... }
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _dropletAction
+ */
+MockServer.prototype._dropletAction = function(droplet, body) {
+	var self = this;
+	var effect;
+
+	var status = function(value) {
+		return function() {
+			droplet.status = value;
+		};
+	};
+
+	var feature = function(name, enabled) {
+		return function() {
+			remove(droplet.features, name);
+
+			if (enabled) {
+				droplet.features.push(name);
+			}
+		};
+	};
+
+	switch (body.type) {
+		case 'reboot':
+		case 'power_cycle':
+		case 'power_on':
+			effect = status('active');
+			break;
+		case 'shutdown':
+		case 'power_off':
+			effect = status('off');
+			break;
+		case 'password_reset':
+		case 'change_kernel':
+			break;
+		case 'enable_backups':
+			effect = feature('backups', true);
+			break;
+		case 'disable_backups':
+			effect = feature('backups', false);
+			break;
+		case 'enable_ipv6':
+			effect = feature('ipv6', true);
+			break;
+		case 'enable_private_networking':
+			effect = feature('private_networking', true);
+			break;
+		case 'rename':
+			if (!body.name) {
+				return unprocessable('Name is required.');
+			}
+
+			effect = function() {
+				droplet.name = body.name;
+			};
+			break;
+		case 'resize':
+			var size = find(this.sizes, function(size) {
+				return size.slug === body.size;
+			});
+
+			if (!size) {
+				return unprocessable('Size is not available.');
+			}
+
+			effect = function() {
+				droplet.size = copy(size);
+				droplet.size_slug = size.slug;
+				droplet.memory = size.memory;
+				droplet.vcpus = size.vcpus;
+				droplet.disk = body.disk ? size.disk : droplet.disk;
+			};
+			break;
+		case 'rebuild':
+		case 'restore':
+			var image = this._findImage(body.image);
+
+			if (!image) {
+				return unprocessable('You specified an invalid image.');
+			}
+
+			effect = function() {
+				droplet.image = copy(image);
+				droplet.status = 'active';
+			};
+			break;
+		case 'snapshot':
+			effect = function() {
+				var snapshot = {
+					id: self.nextId++,
+					name: body.name || droplet.name + '-' + Date.now(),
+					distribution: droplet.image.distribution,
+					slug: null,
+					public: false,
+					regions: [droplet.region.slug],
+					created_at: new Date().toISOString(),
+					min_disk_size: droplet.disk,
+					size_gigabytes: 1.5,
+					type: 'snapshot',
+					status: 'available'
+				};
+
+				self.images.push(snapshot);
+				droplet.snapshot_ids.push(snapshot.id);
+			};
+			break;
+		default:
+			return unprocessable('Unknown action type "' + body.type + '".');
+	}
+
+	return success(201, {action: copy(this._startAction(body.type, 'droplet', droplet.id, droplet.region.slug, effect))});
+};
+
+/**
+ * POST /v2/droplets/actions?tag_name=, an action for every droplet carrying the tag.
+ *
+ * @private
+ * @param {string}    tagName         the tag
+ * @param {Object}    body            request body, { type, ... }
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _tagAction
+ */
+MockServer.prototype._tagAction = function(tagName, body) {
+	var actions = [];
+	var droplets = this.droplets.filter(function(droplet) {
+		return droplet.tags.indexOf(tagName) !== -1;
+	});
+
+	for (var i = 0; i < droplets.length; i++) {
+		var reply = this._dropletAction(droplets[i], body);
+
+		if (reply.status !== 201) {
+			return reply;
+		}
+
+		actions.push(reply.body.action);
+	}
+
+	return success(201, {actions: actions});
+};
+
+/**
+ * /v2/images and everything below it.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _images
+ */
+MockServer.prototype._images = function(request) {
+	var parts = request.parts;
+
+	if (parts.length === 1) {
+		if (request.method !== 'GET') {
+			return notFound();
+		}
+
+		return this._page(request, 'images', this.images.filter(function(image) {
+			if (request.query.private === 'true' && image.public) {
+				return false;
+			}
+
+			if (request.query.type === 'distribution') {
+				return image.public && image.type === 'base';
+			}
+
+			return !request.query.type || image.type === request.query.type;
+		}));
+	}
+
+	var image = this._findImage(parts[1]);
+
+	if (!image) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		switch (request.method) {
+			case 'GET':
+				return success(200, {image: copy(image)});
+			case 'PUT':
+				if (request.body.name) {
+					image.name = request.body.name;
+				}
+
+				return success(200, {image: copy(image)});
+			case 'DELETE':
+				if (image.public) {
+					return unprocessable('Public images cannot be deleted.');
+				}
+
+				remove(this.images, image);
+				this.droplets.forEach(function(droplet) {
+					remove(droplet.snapshot_ids, image.id);
+					remove(droplet.backup_ids, image.id);
+				});
+
+				return success(204);
+		}
+	}
+
+	if (parts[2] === 'actions' && parts.length === 3 && request.method === 'POST') {
+		var region = request.body.region;
+
+		if (request.body.type !== 'transfer') {
+			return unprocessable('Unknown action type "' + request.body.type + '".');
+		}
+
+		if (!find(this.regions, function(item) {
+			return item.slug === region;
+		})) {
+			return unprocessable('Region is not available.');
+		}
+
+		return success(201, {action: copy(this._startAction('transfer', 'image', image.id, region, function() {
+			if (image.regions.indexOf(region) === -1) {
+				image.regions.push(region);
+			}
+		}))});
+	}
+
+	return notFound();
+};
+
+/**
+ * /v2/account/keys and /v2/account/keys/:idOrFingerprint.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _sshKeys
+ */
+MockServer.prototype._sshKeys = function(request) {
+	var parts = request.parts;
+	var body = request.body;
+
+	if (parts.length === 2) {
+		if (request.method === 'GET') {
+			return this._page(request, 'ssh_keys', this.sshKeys);
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		var parsed;
+
+		try {
+			parsed = sshKey.parse(body.public_key);
+		} catch (error) {
+			return unprocessable('Key invalid type, we support \'ssh-rsa\', \'ssh-dss\', \'ecdsa-sha2-nistp\', or \'ssh-ed25519\'');
+		}
+
+		if (!body.name) {
+			return unprocessable('Name is required.');
+		}
+
+		if (find(this.sshKeys, function(key) {
+			return key.fingerprint === parsed.fingerprint;
+		})) {
+			return unprocessable('SSH Key is already in use on your account');
+		}
+
+		var created = {id: this.nextId++, fingerprint: parsed.fingerprint, public_key: String(body.public_key).trim(), name: body.name};
+		this.sshKeys.push(created);
+
+		return success(201, {ssh_key: copy(created)});
+	}
+
+	var key = find(this.sshKeys, function(key) {
+		return String(key.id) === parts[2] || key.fingerprint === parts[2];
+	});
+
+	if (!key || parts.length !== 3) {
+		return notFound();
+	}
+
+	switch (request.method) {
+		case 'GET':
+			return success(200, {ssh_key: copy(key)});
+		case 'PUT':
+			if (body.name) {
+				key.name = body.name;
+			}
+
+			return success(200, {ssh_key: copy(key)});
+		case 'DELETE':
+			remove(this.sshKeys, key);
+			return success(204);
+		default:
+			return notFound();
+	}
+};
+
+/**
+ * /v2/tags, /v2/tags/:name and /v2/tags/:name/resources for droplets.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _tags
+ */
+MockServer.prototype._tags = function(request) {
+	var self = this;
+	var parts = request.parts;
+
+	var tagBody = function(name) {
+		return {name: name, resources: {count: self.droplets.filter(function(droplet) {
+			return droplet.tags.indexOf(name) !== -1;
+		}).length}};
+	};
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'tags', this.tags.map(tagBody));
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		if (!/^[a-zA-Z0-9_\-:]{1,255}$/.test(request.body.name || '')) {
+			return unprocessable('Name may only contain letters, numbers, colons, dashes and underscores.');
+		}
+
+		if (this.tags.indexOf(request.body.name) === -1) {
+			this.tags.push(request.body.name);
+		}
+
+		return success(201, {tag: tagBody(request.body.name)});
+	}
+
+	var name = parts[1];
+
+	if (this.tags.indexOf(name) === -1) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		switch (request.method) {
+			case 'GET':
+				return success(200, {tag: tagBody(name)});
+			case 'DELETE':
+				remove(this.tags, name);
+				this.droplets.forEach(function(droplet) {
+					remove(droplet.tags, name);
+				});
+
+				return success(204);
+			default:
+				return notFound();
+		}
+	}
+
+	if (parts[2] !== 'resources' || parts.length !== 3 || (request.method !== 'POST' && request.method !== 'DELETE')) {
+		return notFound();
+	}
+
+	(request.body.resources || []).forEach(function(resource) {
+		var droplet = resource.resource_type === 'droplet' && find(self.droplets, function(droplet) {
+			return String(droplet.id) === String(resource.resource_id);
+		});
+
+		if (!droplet) {
+			return;
+		}
+
+		remove(droplet.tags, name);
+
+		if (request.method === 'POST') {
+			droplet.tags.push(name);
+		}
+	});
+
+	return success(204);
+};
+
+/**
+ * A floating IP as the API returns it, with the droplet it's assigned to.
+ *
+ * @private
+ * @param {Object}    floatingIp      { ip, region, droplet_id }
+ * @return {Object}
+ * @memberof MockServer
+ * @method _floatingIp
+ */
+MockServer.prototype._floatingIp = function(floatingIp) {
+	var droplet = find(this.droplets, function(droplet) {
+		return droplet.id === floatingIp.droplet_id;
+	});
+
+	return {ip: floatingIp.ip, region: copy(floatingIp.region), droplet: droplet ? copy(droplet) : null, locked: false};
+};
+
+/**
+ * /v2/floating_ips, /v2/floating_ips/:ip and its actions.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _floatingIps
+ */
+MockServer.prototype._floatingIps = function(request) {
+	var self = this;
+	var parts = request.parts;
+	var body = request.body;
+
+	var findDroplet = function(id) {
+		return find(self.droplets, function(droplet) {
+			return String(droplet.id) === String(id);
+		});
+	};
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'floating_ips', this.floatingIps.map(function(floatingIp) {
+				return self._floatingIp(floatingIp);
+			}));
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		var droplet = body.droplet_id !== undefined ? findDroplet(body.droplet_id) : null;
+		var region = droplet ? droplet.region : find(this.regions, function(region) {
+			return region.slug === body.region;
+		});
+
+		if (body.droplet_id !== undefined && !droplet) {
+			return unprocessable('Droplet is not valid.');
+		}
+
+		if (!region) {
+			return unprocessable('Region is not available.');
+		}
+
+		var created = {ip: '198.51.100.' + (this.floatingIps.length + 1), region: copy(region), droplet_id: droplet ? droplet.id : null};
+		this.floatingIps.push(created);
+
+		return success(202, {floating_ip: this._floatingIp(created)});
+	}
+
+	var floatingIp = find(this.floatingIps, function(floatingIp) {
+		return floatingIp.ip === parts[1];
+	});
+
+	if (!floatingIp) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		switch (request.method) {
+			case 'GET':
+				return success(200, {floating_ip: this._floatingIp(floatingIp)});
+			case 'DELETE':
+				remove(this.floatingIps, floatingIp);
+				return success(204);
+			default:
+				return notFound();
+		}
+	}
+
+	if (parts[2] !== 'actions' || parts.length !== 3 || request.method !== 'POST') {
+		return notFound();
+	}
+
+	switch (body.type) {
+		case 'assign':
+			var target = findDroplet(body.droplet_id);
+
+			if (!target) {
+				return unprocessable('Droplet is not valid.');
+			}
+
+			return success(201, {action: copy(this._startAction('assign_ip', 'floating_ip', floatingIp.ip, floatingIp.region.slug, function() {
+				floatingIp.droplet_id = target.id;
+			}))});
+		case 'unassign':
+			return success(201, {action: copy(this._startAction('unassign_ip', 'floating_ip', floatingIp.ip, floatingIp.region.slug, function() {
+				floatingIp.droplet_id = null;
+			}))});
+		default:
+			return unprocessable('Unknown action type "' + body.type + '".');
+	}
+};
+
+/**
+ * /v2/volumes, /v2/volumes/:id, its actions and snapshots.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _volumes
+ */
+MockServer.prototype._volumes = function(request) {
+	var self = this;
+	var parts = request.parts;
+	var body = request.body;
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'volumes', this.volumes.filter(function(volume) {
+				return (!request.query.name || volume.name === request.query.name) &&
+					(!request.query.region || volume.region.slug === request.query.region);
+			}));
+		}
+
+		return request.method === 'POST' ? this._createVolume(body) : notFound();
+	}
+
+	var volume = find(this.volumes, function(volume) {
+		return volume.id === parts[1];
+	});
+
+	if (!volume) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		switch (request.method) {
+			case 'GET':
+				return success(200, {volume: copy(volume)});
+			case 'DELETE':
+				if (volume.droplet_ids.length) {
+					return failure(409, 'conflict', 'Volume is attached to a Droplet, detach it first.');
+				}
+
+				remove(this.volumes, volume);
+				return success(204);
+			default:
+				return notFound();
+		}
+	}
+
+	if (parts.length !== 3) {
+		return notFound();
+	}
+
+	if (parts[2] === 'snapshots') {
+		if (request.method === 'GET') {
+			return this._page(request, 'snapshots', this.snapshots.filter(function(snapshot) {
+				return snapshot.resource_id === volume.id;
+			}));
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		if (!body.name) {
+			return unprocessable('Name is required.');
+		}
+
+		var snapshot = {
+			id: uuid(this.nextId++),
+			name: body.name,
+			regions: [volume.region.slug],
+			created_at: new Date().toISOString(),
+			resource_id: volume.id,
+			resource_type: 'volume',
+			min_disk_size: volume.size_gigabytes,
+			size_gigabytes: 0,
+			tags: (body.tags || []).slice()
+		};
+		this.snapshots.push(snapshot);
+
+		return success(201, {snapshot: copy(snapshot)});
+	}
+
+	if (parts[2] !== 'actions' || request.method !== 'POST') {
+		return notFound();
+	}
+
+	var droplet = find(this.droplets, function(droplet) {
+		return String(droplet.id) === String(body.droplet_id);
+	});
+	var start = function(effect) {
+		return success(202, {action: copy(self._startAction(body.type + '_volume', 'volume', volume.id, volume.region.slug, effect))});
+	};
+
+	switch (body.type) {
+		case 'attach':
+			if (!droplet || droplet.region.slug !== volume.region.slug) {
+				return unprocessable('Droplet must be in the same region as the volume.');
+			}
+
+			return start(function() {
+				remove(volume.droplet_ids, droplet.id);
+				volume.droplet_ids.push(droplet.id);
+				remove(droplet.volume_ids, volume.id);
+				droplet.volume_ids.push(volume.id);
+			});
+		case 'detach':
+			if (!droplet || volume.droplet_ids.indexOf(droplet.id) === -1) {
+				return unprocessable('Volume is not attached to this Droplet.');
+			}
+
+			return start(function() {
+				remove(volume.droplet_ids, droplet.id);
+				remove(droplet.volume_ids, volume.id);
+			});
+		case 'resize':
+			if (!(body.size_gigabytes > volume.size_gigabytes)) {
+				return unprocessable('Volumes can only be resized to a larger size.');
+			}
+
+			return start(function() {
+				volume.size_gigabytes = body.size_gigabytes;
+			});
+		default:
+			return unprocessable('Unknown action type "' + body.type + '".');
+	}
+};
+
+/**
+ * POST /v2/volumes, empty or from a snapshot.
+ *
+ * @private
+ * @param {Object}    body            request body
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _createVolume
+ */
+MockServer.prototype._createVolume = function(body) {
+	var snapshot = body.snapshot_id && find(this.snapshots, function(snapshot) {
+		return snapshot.id === body.snapshot_id;
+	});
+	var slug = snapshot ? snapshot.regions[0] : body.region;
+	var region = find(this.regions, function(region) {
+		return region.slug === slug;
+	});
+
+	if (!/^[a-z0-9-]{1,64}$/.test(body.name || '')) {
+		return unprocessable('Name must be lowercase letters, numbers and dashes.');
+	}
+
+	if (!(body.size_gigabytes >= 1 && body.size_gigabytes <= 16384)) {
+		return unprocessable('Size must be between 1 and 16384 gigabytes.');
+	}
+
+	if (body.snapshot_id && !snapshot) {
+		return unprocessable('Snapshot is not valid.');
+	}
+
+	if (!region) {
+		return unprocessable('Region is not available.');
+	}
+
+	if (find(this.volumes, function(volume) {
+		return volume.name === body.name && volume.region.slug === region.slug;
+	})) {
+		return failure(409, 'conflict', 'A volume with the name ' + body.name + ' already exists in ' + region.slug + '.');
+	}
+
+	var volume = {
+		id: uuid(this.nextId++),
+		name: body.name,
+		size_gigabytes: body.size_gigabytes,
+		description: body.description || '',
+		region: copy(region),
+		droplet_ids: [],
+		filesystem_type: body.filesystem_type || '',
+		filesystem_label: body.filesystem_label || '',
+		created_at: new Date().toISOString(),
+		tags: (body.tags || []).slice()
+	};
+	this.volumes.push(volume);
+
+	return success(201, {volume: copy(volume)});
+};
+
+/**
+ * /v2/snapshots/:id of volumes.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _snapshots
+ */
+MockServer.prototype._snapshots = function(request) {
+	var snapshot = find(this.snapshots, function(snapshot) {
+		return snapshot.id === request.parts[1];
+	});
+
+	if (!snapshot || request.parts.length !== 2) {
+		return notFound();
+	}
+
+	switch (request.method) {
+		case 'GET':
+			return success(200, {snapshot: copy(snapshot)});
+		case 'DELETE':
+			remove(this.snapshots, snapshot);
+			return success(204);
+		default:
+			return notFound();
+	}
+};
+
+/**
+ * Checks that droplet ids belong to droplets.
+ *
+ * @private
+ * @param {Array}     ids             droplet ids
+ * @return {?Object} { status, body } of the error, null when they all exist
+ * @memberof MockServer
+ * @method _checkDropletIds
+ */
+MockServer.prototype._checkDropletIds = function(ids) {
+	var self = this;
+	var missing = (ids || []).filter(function(id) {
+		return !find(self.droplets, function(droplet) {
+			return droplet.id === id;
+		});
+	});
+
+	return missing.length ? unprocessable('Droplets ' + missing.join(', ') + ' do not exist.') : null;
+};
+
+/**
+ * /v2/firewalls, /v2/firewalls/:id and its droplets, tags and rules.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _firewalls
+ */
+MockServer.prototype._firewalls = function(request) {
+	var parts = request.parts;
+	var body = request.body;
+	var error;
+
+	var configure = function(firewall) {
+		if (!/^[a-zA-Z0-9.\-]{1,255}$/.test(body.name || '')) {
+			return unprocessable('Name may only contain letters, numbers, dots and dashes.');
+		}
+
+		firewall.name = body.name;
+		firewall.inbound_rules = copy(body.inbound_rules || []);
+		firewall.outbound_rules = copy(body.outbound_rules || []);
+		firewall.droplet_ids = (body.droplet_ids || []).slice();
+		firewall.tags = (body.tags || []).slice();
+
+		return null;
+	};
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'firewalls', this.firewalls);
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		var created = {id: uuid(this.nextId++), status: 'succeeded', created_at: new Date().toISOString(), pending_changes: []};
+		error = this._checkDropletIds(body.droplet_ids) || configure(created);
+
+		if (error) {
+			return error;
+		}
+
+		this.firewalls.push(created);
+
+		return success(202, {firewall: copy(created)});
+	}
+
+	var firewall = find(this.firewalls, function(firewall) {
+		return firewall.id === parts[1];
+	});
+
+	if (!firewall) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		switch (request.method) {
+			case 'GET':
+				return success(200, {firewall: copy(firewall)});
+			case 'PUT':
+				error = this._checkDropletIds(body.droplet_ids) || configure(firewall);
+				return error || success(200, {firewall: copy(firewall)});
+			case 'DELETE':
+				remove(this.firewalls, firewall);
+				return success(204);
+			default:
+				return notFound();
+		}
+	}
+
+	var adding = request.method === 'POST';
+
+	if (parts.length !== 3 || (!adding && request.method !== 'DELETE')) {
+		return notFound();
+	}
+
+	switch (parts[2]) {
+		case 'droplets':
+			error = adding && this._checkDropletIds(body.droplet_ids);
+			change(firewall.droplet_ids, !error && body.droplet_ids, adding);
+			break;
+		case 'tags':
+			change(firewall.tags, body.tags, adding);
+			break;
+		case 'rules':
+			change(firewall.inbound_rules, body.inbound_rules, adding);
+			change(firewall.outbound_rules, body.outbound_rules, adding);
+			break;
+		default:
+			return notFound();
+	}
+
+	return error || success(204);
+};
+
+/**
+ * /v2/load_balancers, /v2/load_balancers/:id and its droplets and forwarding rules.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _loadBalancers
+ */
+MockServer.prototype._loadBalancers = function(request) {
+	var parts = request.parts;
+	var body = request.body;
+	var error;
+
+	var invalidRules = function(rules) {
+		return !Array.isArray(rules) || !rules.length || rules.some(function(rule) {
+			return ['http', 'https', 'http2', 'tcp'].indexOf(rule.entry_protocol) === -1 ||
+				['http', 'https', 'http2', 'tcp'].indexOf(rule.target_protocol) === -1 ||
+				!(rule.entry_port >= 1 && rule.entry_port <= 65535) || !(rule.target_port >= 1 && rule.target_port <= 65535);
+		});
+	};
+
+	var configure = function(loadBalancer, regions) {
+		var region = find(regions, function(region) {
+			return region.slug === body.region;
+		});
+
+		if (!body.name) {
+			return unprocessable('Name is required.');
+		}
+
+		if (!region) {
+			return unprocessable('Region is not available.');
+		}
+
+		if (invalidRules(body.forwarding_rules)) {
+			return unprocessable('Forwarding rules are invalid.');
+		}
+
+		if (body.tag && body.droplet_ids && body.droplet_ids.length) {
+			return unprocessable('Load balancers may have droplet ids or a tag, not both.');
+		}
+
+		loadBalancer.name = body.name;
+		loadBalancer.region = copy(region);
+		loadBalancer.forwarding_rules = copy(body.forwarding_rules);
+		loadBalancer.algorithm = body.algorithm || 'round_robin';
+		loadBalancer.health_check = copy(body.health_check) || {protocol: 'http', port: 80, path: '/', check_interval_seconds: 10,
+			response_timeout_seconds: 5, healthy_threshold: 5, unhealthy_threshold: 3};
+		loadBalancer.sticky_sessions = copy(body.sticky_sessions) || {type: 'none'};
+		loadBalancer.redirect_http_to_https = Boolean(body.redirect_http_to_https);
+		loadBalancer.enable_proxy_protocol = Boolean(body.enable_proxy_protocol);
+		loadBalancer.droplet_ids = (body.droplet_ids || []).slice();
+		loadBalancer.tag = body.tag || '';
+
+		return null;
+	};
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'load_balancers', this.loadBalancers);
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		var created = {id: uuid(this.nextId++), ip: '203.0.113.' + (this.loadBalancers.length + 1), status: 'active', created_at: new Date().toISOString()};
+		error = this._checkDropletIds(body.droplet_ids) || configure(created, this.regions);
+
+		if (error) {
+			return error;
+		}
+
+		this.loadBalancers.push(created);
+
+		return success(202, {load_balancer: copy(created)});
+	}
+
+	var loadBalancer = find(this.loadBalancers, function(loadBalancer) {
+		return loadBalancer.id === parts[1];
+	});
+
+	if (!loadBalancer) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		switch (request.method) {
+			case 'GET':
+				return success(200, {load_balancer: copy(loadBalancer)});
+			case 'PUT':
+				error = this._checkDropletIds(body.droplet_ids) || configure(loadBalancer, this.regions);
+				return error || success(200, {load_balancer: copy(loadBalancer)});
+			case 'DELETE':
+				remove(this.loadBalancers, loadBalancer);
+				return success(204);
+			default:
+				return notFound();
+		}
+	}
+
+	var adding = request.method === 'POST';
+
+	if (parts.length !== 3 || (!adding && request.method !== 'DELETE')) {
+		return notFound();
+	}
+
+	switch (parts[2]) {
+		case 'droplets':
+			if (loadBalancer.tag) {
+				return unprocessable('Load balancers with a tag take their droplets from it.');
+			}
+
+			error = adding && this._checkDropletIds(body.droplet_ids);
+			change(loadBalancer.droplet_ids, !error && body.droplet_ids, adding);
+			break;
+		case 'forwarding_rules':
+			if (adding && invalidRules(body.forwarding_rules)) {
+				return unprocessable('Forwarding rules are invalid.');
+			}
+
+			change(loadBalancer.forwarding_rules, body.forwarding_rules, adding);
+			break;
+		default:
+			return notFound();
+	}
+
+	return error || success(204);
+};
+
+/**
+ * /v2/domains and its records.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _domains
+ */
+MockServer.prototype._domains = function(request) {
+	var self = this;
+	var parts = request.parts;
+	var body = request.body;
+
+	if (parts.length === 1) {
+		if (request.method === 'GET') {
+			return this._page(request, 'domains', this.domains.map(function(domain) {
+				return self._domain(domain.name);
+			}));
+		}
+
+		if (request.method !== 'POST') {
+			return notFound();
+		}
+
+		if (!/^([a-z0-9\-]+\.)+[a-z]{2,}$/i.test(body.name || '')) {
+			return unprocessable('Name is invalid.');
+		}
+
+		if (find(this.domains, function(domain) {
+			return domain.name === body.name.toLowerCase();
+		})) {
+			return unprocessable('Name already exists');
+		}
+
+		var name = body.name.toLowerCase();
+		this.domains.push({name: name});
+		this.records[name] = [];
+		this._addRecord(name, {type: 'SOA', name: '@', data: '1800', ttl: 1800});
+		NAMESERVERS.forEach(function(nameserver) {
+			self._addRecord(name, {type: 'NS', name: '@', data: nameserver, ttl: 1800});
+		});
+
+		if (body.ip_address) {
+			this._addRecord(name, {type: 'A', name: '@', data: body.ip_address, ttl: 1800});
+		}
+
+		return success(201, {domain: {name: name, ttl: 1800, zone_file: null}});
+	}
+
+	var domain = find(this.domains, function(domain) {
+		return domain.name === parts[1].toLowerCase();
+	});
+
+	if (!domain) {
+		return notFound();
+	}
+
+	if (parts.length === 2) {
+		if (request.method === 'GET') {
+			return success(200, {domain: this._domain(domain.name)});
+		}
+
+		if (request.method === 'DELETE') {
+			remove(this.domains, domain);
+			delete this.records[domain.name];
+			return success(204);
+		}
+
+		return notFound();
+	}
+
+	return parts[2] === 'records' ? this._records(request, domain.name) : notFound();
+};
+
+/**
+ * A domain as the API returns it, with its zone file.
+ *
+ * @private
+ * @param {string}    name            the domain
+ * @return {Object}
+ * @memberof MockServer
+ * @method _domain
+ */
+MockServer.prototype._domain = function(name) {
+	return {name: name, ttl: 1800, zone_file: zone.serialize(name, this.records[name])};
+};
+
+/**
+ * Validates a record and stores it.
+ *
+ * @private
+ * @param {string}    domain          the domain
+ * @param {Object}    fields          { type, name, data, priority, port, ttl, weight, flags, tag }
+ * @return {Object} { status, body }, the error or the stored record
+ * @memberof MockServer
+ * @method _addRecord
+ */
+MockServer.prototype._addRecord = function(domain, fields) {
+	var type = String(fields.type).toUpperCase();
+
+	if (RECORD_TYPES.indexOf(type) === -1) {
+		return unprocessable('Type is not a supported record type.');
+	}
+
+	if (fields.data === undefined || fields.data === null || fields.data === '') {
+		return unprocessable('Data needs to be an IP address or hostname.');
+	}
+
+	var record = {
+		id: this.nextId++,
+		type: type,
+		name: records.relativeName(fields.name, domain),
+		data: String(fields.data).replace(/\.$/, ''),
+		priority: fields.priority === undefined ? null : fields.priority,
+		port: fields.port === undefined ? null : fields.port,
+		ttl: fields.ttl || 1800,
+		weight: fields.weight === undefined ? null : fields.weight,
+		flags: fields.flags === undefined ? null : fields.flags,
+		tag: fields.tag === undefined ? null : fields.tag
+	};
+
+	this.records[domain].push(record);
+
+	return success(201, {domain_record: copy(record)});
+};
+
+/**
+ * /v2/domains/:name/records and /v2/domains/:name/records/:id.
+ *
+ * @private
+ * @param {Object}    request         the routed request
+ * @param {string}    domain          the domain
+ * @return {Object} { status, body }
+ * @memberof MockServer
+ * @method _records
+ */
+MockServer.prototype._records = function(request, domain) {
+	var parts = request.parts;
+	var list = this.records[domain];
+
+	if (parts.length === 3) {
+		if (request.method === 'GET') {
+			return this._page(request, 'domain_records', list.filter(function(record) {
+				return (!request.query.type || record.type === request.query.type) &&
+					(!request.query.name || records.absoluteName(record.name, domain) === records.absoluteName(request.query.name, domain));
+			}));
+		}
+
+		return request.method === 'POST' ? this._addRecord(domain, request.body) : notFound();
+	}
+
+	var record = find(list, function(record) {
+		return String(record.id) === parts[3];
+	});
+
+	if (!record || parts.length !== 4) {
+		return notFound();
+	}
+
+	switch (request.method) {
+		case 'GET':
+			return success(200, {domain_record: copy(record)});
+		case 'PUT':
+			Object.keys(request.body).forEach(function(key) {
+				if (key === 'name') {
+					record.name = records.relativeName(request.body.name, domain);
+				} else if (key === 'data') {
+					record.data = String(request.body.data).replace(/\.$/, '');
+				} else if (key !== 'id' && key !== 'type' && record.hasOwnProperty(key)) {
+					record[key] = request.body[key];
+				}
+			});
+
+			return success(200, {domain_record: copy(record)});
+		case 'DELETE':
+			remove(list, record);
+			return success(204);
+		default:
+			return notFound();
+	}
+};
@@ -0,0 +1,324 @@
+var errors = require('./errors');
+var records = require('./records');
+
+/**
+ * Throws a ValidationError unless the condition holds.
+ *
+ * @private
+ * @param {boolean}   condition       what must hold
+ * @param {string}    message         description of the problem
+ */
+var check = function(condition, message) {
+	if (!condition) {
+		throw new errors.ValidationError(message);
+	}
+};
+
+/**
+ * Validates a spec and fills in its defaults.
+ *
+ * @param {Object}    spec            { droplets: [{ name, region, size, image, ssh_keys, tags, id }], domains: [{ name, records }] }
+ * @return {Object} the normalized spec
+ */
+var normalizeSpec = function(spec) {
+	check(spec && typeof spec === 'object', 'spec must be an object');
+
+	var droplets = spec.droplets || [];
+	var domains = spec.domains || [];
+	var names = {};
+
+	check(Array.isArray(droplets), 'spec.droplets must be an array');
+	check(Array.isArray(domains), 'spec.domains must be an array');
+
+	return {
+		droplets: droplets.map(function(droplet) {
+			check(droplet && droplet.name, 'every droplet needs a name');
+			check(!names[droplet.name], 'droplet ' + droplet.name + ' is in the spec twice');
+			check(droplet.region && droplet.size && droplet.image, 'droplet ' + droplet.name + ' needs a region, size and image');
+			names[droplet.name] = true;
+
+			return {
+				id: droplet.id,
+				name: droplet.name,
+				region: droplet.region,
+				size: droplet.size,
+				image: droplet.image,
+				ssh_keys: droplet.ssh_keys || [],
+				tags: droplet.tags || []
+			};
+		}),
+		domains: domains.map(function(domain) {
+			check(domain && domain.name, 'every domain needs a name');
+
+			return {
+				name: domain.name.toLowerCase().replace(/\.$/, ''),
+				records: domain.records || []
+			};
+		})
+	};
+};
+
+/**
+ * Whether a droplet runs the image given by id or slug.
+ *
+ * @private
+ * @param {Object}    droplet         droplet returned by the API
+ * @param {(number|string)} image     image id or slug
+ * @return {boolean}
+ */
+var sameImage = function(droplet, image) {
+	return !!droplet.image && (String(droplet.image.id) === String(image) || droplet.image.slug === image);
+};
+
+/**
+ * Droplet changes between an existing droplet and the desired one.
+ *
+ * @private
+ * @param {Object}    current         droplet returned by the API
+ * @param {Object}    desired         droplet of the spec
+ * @return {Object} the change, null when there is none
+ */
+var dropletChange = function(current, desired) {
+	var reasons = [];
+
+	if (current.region.slug !== desired.region) {
+		reasons.push('region ' + current.region.slug + ' -> ' + desired.region);
+	}
+
+	if (!sameImage(current, desired.image)) {
+		reasons.push('image ' + (current.image.slug || current.image.id) + ' -> ' + desired.image);
+	}
+
+	if (reasons.length) {
+		return {action: 'replace', type: 'droplet', name: desired.name, id: current.id, current: current, desired: desired, reasons: reasons};
+	}
+
+	var changes = {};
+	var tags = current.tags || [];
+	var add = desired.tags.filter(function(tag) {
+		return tags.indexOf(tag) === -1;
+	});
+	var remove = tags.filter(function(tag) {
+		return desired.tags.indexOf(tag) === -1;
+	});
+
+	if (current.name !== desired.name) {
+		changes.name = desired.name;
+	}
+
+	if (current.size_slug !== desired.size) {
+		changes.size = desired.size;
+	}
+
+	if (add.length || remove.length) {
+		changes.tags = {add: add, remove: remove};
+	}
+
+	if (!Object.keys(changes).length) {
+		return null;
+	}
+
+	return {action: 'update', type: 'droplet', name: desired.name, id: current.id, current: current, changes: changes};
+};
+
+/**
+ * <b>Compare the current state with a spec</b>.
+ * Droplets are matched by id when the spec gives one, else by name. A droplet in another region or with another image is
+ * replaced, other differences of name, size and tags are updated. SSH keys only count when a droplet is created. Records
+ * are compared like domainSync does. With prune droplets, domains and records left out of the spec are destroyed.
+ * @param {Object}    current         Required, { droplets: [], domains: [], records: { domain: [] } } as returned by the API
+ * @param {Object}    spec            Required, { droplets: [{ name, region, size, image, ssh_keys, tags, id }], domains: [{ name, records }] }
+ * @param {Object}    options         Optional, { prune: false }
+ * @return {Object} { changes: [{ action, type, name, ... }], destructive }, actions being 'create', 'update', 'replace' and 'destroy'
+ */
+var diff = function(current, spec, options) {
+	options = options || {};
+	spec = normalizeSpec(spec);
+
+	var changes = [];
+	var matched = [];
+	var destroys = [];
+
+	spec.droplets.forEach(function(desired) {
+		var existing = null;
+
+		current.droplets.forEach(function(droplet) {
+			if (!existing && matched.indexOf(droplet) === -1 && (desired.id !== undefined ? droplet.id === desired.id : droplet.name === desired.name)) {
+				existing = droplet;
+			}
+		});
+
+		if (!existing) {
+			return changes.push({action: 'create', type: 'droplet', name: desired.name, desired: desired});
+		}
+
+		matched.push(existing);
+
+		var change = dropletChange(existing, desired);
+
+		if (change) {
+			changes.push(change);
+		}
+	});
+
+	if (options.prune) {
+		current.droplets.forEach(function(droplet) {
+			if (matched.indexOf(droplet) === -1) {
+				destroys.push({action: 'destroy', type: 'droplet', name: droplet.name, id: droplet.id, current: droplet});
+			}
+		});
+	}
+
+	spec.domains.forEach(function(domain) {
+		var exists = current.domains.some(function(existing) {
+			return existing.name === domain.name;
+		});
+
+		if (!exists) {
+			changes.push({action: 'create', type: 'domain', name: domain.name, desired: domain});
+		}
+
+		var recordPlan = records.diff(exists ? current.records[domain.name] || [] : [], domain.records, domain.name, options);
+
+		recordPlan.update.forEach(function(update) {
+			changes.push({action: 'update', type: 'record', domain: domain.name, name: update.changes.name, id: update.record.id,
+				current: update.record, changes: update.changes});
+		});
+
+		recordPlan.create.forEach(function(record) {
+			changes.push({action: 'create', type: 'record', domain: domain.name, name: record.name, desired: record});
+		});
+
+		recordPlan.destroy.forEach(function(record) {
+			destroys.push({action: 'destroy', type: 'record', domain: domain.name, name: records.relativeName(record.name, domain.name),
+				id: record.id, current: record});
+		});
+	});
+
+	if (options.prune) {
+		current.domains.forEach(function(domain) {
+			var wanted = spec.domains.some(function(desired) {
+				return desired.name === domain.name;
+			});
+
+			if (!wanted) {
+				destroys.push({action: 'destroy', type: 'domain', name: domain.name, current: domain});
+			}
+		});
+	}
+
+	changes = changes.concat(destroys);
+
+	return {
+		changes: changes,
+		destructive: changes.some(isDestructive)
+	};
+};
+
+/**
+ * Whether a change destroys something: destroys and replacements.
+ *
+ * @param {Object}    change          change of a plan
+ * @return {boolean}
+ */
+var isDestructive = function(change) {
+	return change.action === 'destroy' || change.action === 'replace';
+};
+
+/**
+ * Short description of a record.
+ *
+ * @private
+ * @param {Object}    record          the record
+ * @param {string}    domain          its domain
+ * @return {string}
+ */
+var describeRecord = function(record, domain) {
+	return record.type + ' ' + records.absoluteName(record.name, domain) + ' ' + record.data;
+};
+
+/**
+ * One line describing a change.
+ *
+ * @private
+ * @param {Object}    change          change of a plan
+ * @return {string}
+ */
+var formatChange = function(change) {
+	var changes = change.changes || {};
+
+	if (change.type === 'record') {
+		switch (change.action) {
+			case 'create':
+				return '+ record ' + describeRecord(change.desired, change.domain);
+			case 'update':
+				return '~ record ' + describeRecord(change.current, change.domain) + ' -> ' + describeRecord(changes, change.domain);
+			default:
+				return '- record ' + describeRecord(change.current, change.domain);
+		}
+	}
+
+	if (change.type === 'domain') {
+		return (change.action === 'create' ? '+ ' : '- ') + 'domain ' + change.name;
+	}
+
+	switch (change.action) {
+		case 'create':
+			return '+ droplet ' + change.name + ' (' + [change.desired.region, change.desired.size, change.desired.image].join(', ') + ')';
+		case 'replace':
+			return '-/+ droplet ' + change.name + ': ' + change.reasons.join(', ');
+		case 'destroy':
+			return '- droplet ' + change.name + ' (' + change.id + ')';
+	}
+
+	var details = [];
+
+	if (changes.name) {
+		details.push('name ' + change.current.name + ' -> ' + changes.name);
+	}
+
+	if (changes.size) {
+		details.push('size ' + change.current.size_slug + ' -> ' + changes.size);
+	}
+
+	if (changes.tags) {
+		details.push('tags ' + changes.tags.add.map(function(tag) {
+			return '+' + tag;
+		}).concat(changes.tags.remove.map(function(tag) {
+			return '-' + tag;
+		})).join(' '));
+	}
+
+	return '~ droplet ' + change.name + ': ' + details.join(', ');
+};
+
+/**
+ * <b>Describe a plan</b>.
+ * Renders a plan as text, a line per change: '+' creates, '~' updates, '-/+' replaces and '-' destroys.
+ * @param {Object}    plan            Required, plan returned by diff
+ * @return {string}
+ */
+var format = function(plan) {
+	if (!plan.changes.length) {
+		return 'No changes.\n';
+	}
+
+	var counts = {create: 0, update: 0, replace: 0, destroy: 0};
+
+	var lines = plan.changes.map(function(change) {
+		counts[change.action]++;
+		return formatChange(change);
+	});
+
+	lines.push('', 'Plan: ' + counts.create + ' to create, ' + counts.update + ' to update, ' + counts.replace + ' to replace, ' +
+		counts.destroy + ' to destroy.');
+
+	return lines.join('\n') + '\n';
+};
+
+module.exports = {
+	normalizeSpec: normalizeSpec,
+	diff: diff,
+	isDestructive: isDestructive,
+	format: format
+};
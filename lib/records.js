@@ -0,0 +1,228 @@
+var HOSTNAME_TYPES = ['CNAME', 'MX', 'NS', 'SRV'];
+var OPTIONAL_ATTRIBUTES = ['priority', 'port', 'weight', 'ttl', 'flags', 'tag'];
+
+/**
+ * Record name relative to the domain, as the API returns it: '@' for the domain itself, 'www' for www.example.com.
+ *
+ * @param {string}    name            relative name, or fully qualified with or without the trailing dot
+ * @param {string}    domain          the domain, e.g. 'example.com'
+ * @return {string}
+ */
+var relativeName = function(name, domain) {
+	name = String(name === undefined || name === null ? '@' : name).toLowerCase().replace(/\.$/, '');
+	domain = domain.toLowerCase();
+
+	if (name === '' || name === '@' || name === domain) {
+		return '@';
+	}
+
+	if (name.slice(-domain.length - 1) === '.' + domain) {
+		return name.slice(0, -domain.length - 1);
+	}
+
+	return name;
+};
+
+/**
+ * Fully qualified record name without the trailing dot, e.g. 'www.example.com'.
+ *
+ * @param {string}    name            relative or fully qualified name
+ * @param {string}    domain          the domain, e.g. 'example.com'
+ * @return {string}
+ */
+var absoluteName = function(name, domain) {
+	name = relativeName(name, domain);
+
+	return name === '@' ? domain.toLowerCase() : name + '.' + domain.toLowerCase();
+};
+
+/**
+ * Record data as the API expects it: hostnames of CNAME, MX, NS and SRV records need a trailing dot unless they are '@'.
+ *
+ * @param {string}    type            record type
+ * @param {string}    data            record data
+ * @return {string}
+ */
+var recordData = function(type, data) {
+	data = String(data);
+
+	if (HOSTNAME_TYPES.indexOf(type) !== -1 && data !== '@' && data.slice(-1) !== '.') {
+		return data + '.';
+	}
+
+	return data;
+};
+
+/**
+ * Record data normalized for comparison.
+ *
+ * @private
+ * @param {string}    type            record type
+ * @param {string}    data            record data
+ * @param {string}    domain          the domain
+ * @return {string}
+ */
+var comparableData = function(type, data, domain) {
+	data = String(data);
+
+	if (HOSTNAME_TYPES.indexOf(type) === -1) {
+		return data;
+	}
+
+	data = data.toLowerCase().replace(/\.$/, '');
+
+	return data === '@' ? domain.toLowerCase() : data;
+};
+
+/**
+ * The optional attributes of a record: priority, port, weight, ttl, flags and tag.
+ *
+ * @param {Object}    record          domain record
+ * @return {Object}
+ */
+var recordOptionals = function(record) {
+	var optionals = {};
+
+	OPTIONAL_ATTRIBUTES.forEach(function(attribute) {
+		if (record[attribute] !== undefined && record[attribute] !== null) {
+			optionals[attribute] = record[attribute];
+		}
+	});
+
+	return optionals;
+};
+
+/**
+ * Desired record with its type upper cased, its name relative and its data in the API's form.
+ *
+ * @private
+ * @param {Object}    record          { type, name, data, priority, port, weight, ttl, flags, tag }
+ * @param {string}    domain          the domain
+ * @return {Object}
+ */
+var normalize = function(record, domain) {
+	var type = String(record.type).toUpperCase();
+
+	var normalized = {
+		type: type,
+		name: relativeName(record.name, domain),
+		data: recordData(type, record.data)
+	};
+
+	var optionals = recordOptionals(record);
+	Object.keys(optionals).forEach(function(attribute) {
+		normalized[attribute] = optionals[attribute];
+	});
+
+	return normalized;
+};
+
+/**
+ * Whether an existing record already matches a desired one. Optional attributes left out of the desired record are ignored.
+ *
+ * @private
+ * @param {Object}    existing        record returned by the API
+ * @param {Object}    desired         normalized desired record
+ * @param {string}    domain          the domain
+ * @return {boolean}
+ */
+var matches = function(existing, desired, domain) {
+	if (comparableData(existing.type, existing.data, domain) !== comparableData(desired.type, desired.data, domain)) {
+		return false;
+	}
+
+	return OPTIONAL_ATTRIBUTES.every(function(attribute) {
+		return desired[attribute] === undefined || String(desired[attribute]) === String(existing[attribute]);
+	});
+};
+
+/**
+ * Groups records by type and relative name.
+ *
+ * @private
+ * @param {Array}     list            records
+ * @param {string}    domain          the domain
+ * @return {Object}
+ */
+var groupRecords = function(list, domain) {
+	var groups = {};
+
+	list.forEach(function(record) {
+		var key = record.type + ' ' + relativeName(record.name, domain);
+		(groups[key] = groups[key] || []).push(record);
+	});
+
+	return groups;
+};
+
+/**
+ * Compares existing records with desired ones. Records are matched by type and name, equal records are left
+ * unchanged, remaining pairs are updated, remaining desired records created and remaining existing records destroyed
+ * when pruning. SOA records and the NS records of the domain itself are only touched when desired records of their
+ * type and name are given.
+ *
+ * @param {Array}     current         records returned by the API
+ * @param {Array}     desired         [{ type, name, data, priority, port, weight, ttl, flags, tag }]
+ * @param {string}    domain          the domain, e.g. 'example.com'
+ * @param {Object}    options         Optional, { prune: false }
+ * @return {Object} { create: [record], update: [{ record, changes }], destroy: [record], unchanged: [record] }
+ */
+var diff = function(current, desired, domain, options) {
+	options = options || {};
+
+	var plan = {create: [], update: [], destroy: [], unchanged: []};
+	var existingGroups = groupRecords(current, domain);
+	var desiredGroups = groupRecords(desired.map(function(record) {
+		return normalize(record, domain);
+	}), domain);
+
+	Object.keys(desiredGroups).forEach(function(key) {
+		var existing = (existingGroups[key] || []).slice();
+		var wanted = [];
+
+		desiredGroups[key].forEach(function(record) {
+			for (var i = 0; i < existing.length; i++) {
+				if (matches(existing[i], record, domain)) {
+					plan.unchanged.push(existing.splice(i, 1)[0]);
+					return;
+				}
+			}
+
+			wanted.push(record);
+		});
+
+		wanted.forEach(function(record) {
+			if (existing.length) {
+				plan.update.push({record: existing.shift(), changes: record});
+			} else {
+				plan.create.push(record);
+			}
+		});
+
+		if (options.prune) {
+			plan.destroy.push.apply(plan.destroy, existing);
+		}
+
+		delete existingGroups[key];
+	});
+
+	if (options.prune) {
+		Object.keys(existingGroups).forEach(function(key) {
+			if (key.indexOf('SOA ') === 0 || key === 'NS @') {
+				return;
+			}
+
+			plan.destroy.push.apply(plan.destroy, existingGroups[key]);
+		});
+	}
+
+	return plan;
+};
+
+module.exports = {
+	relativeName: relativeName,
+	absoluteName: absoluteName,
+	recordData: recordData,
+	recordOptionals: recordOptionals,
+	diff: diff
+};
@@ -0,0 +1,68 @@
+var crypto = require('crypto');
+var errors = require('./errors');
+
+var KEY_TYPES = [
+	'ssh-rsa',
+	'ssh-dss',
+	'ssh-ed25519',
+	'ecdsa-sha2-nistp256',
+	'ecdsa-sha2-nistp384',
+	'ecdsa-sha2-nistp521',
+	'sk-ssh-ed25519@openssh.com',
+	'sk-ecdsa-sha2-nistp256@openssh.com'
+];
+
+/**
+ * MD5 fingerprint of a key blob, as DigitalOcean shows it: colon separated hex pairs.
+ *
+ * @private
+ * @param {Buffer}    blob            decoded key data
+ * @return {string}
+ */
+var md5Fingerprint = function(blob) {
+	return crypto.createHash('md5').update(blob).digest('hex').match(/../g).join(':');
+};
+
+/**
+ * <b>Parse an OpenSSH public key</b>.
+ * Reads a key in the authorized_keys format ('ssh-ed25519 AAAA... comment'). Throws a ValidationError when it isn't one.
+ * @param {string}    publicKey       Required, the public key
+ * @return {Object} { type, data, comment, fingerprint }, fingerprint being the MD5 fingerprint DigitalOcean uses
+ */
+var parse = function(publicKey) {
+	var parts = String(publicKey).trim().split(/\s+/);
+	var type = parts[0];
+	var data = parts[1];
+
+	if (KEY_TYPES.indexOf(type) === -1 || !data || !/^[A-Za-z0-9+\/]+={0,2}$/.test(data)) {
+		throw new errors.ValidationError('Not an OpenSSH public key');
+	}
+
+	var blob = Buffer.from(data, 'base64');
+	var length = blob.length >= 4 ? blob.readUInt32BE(0) : 0;
+
+	if (blob.toString('ascii', 4, 4 + length) !== type) {
+		throw new errors.ValidationError('Public key data does not match its type ' + type);
+	}
+
+	return {
+		type: type,
+		data: data,
+		comment: parts.slice(2).join(' '),
+		fingerprint: md5Fingerprint(blob)
+	};
+};
+
+/**
+ * <b>Fingerprint of an OpenSSH public key</b>.
+ * @param {string}    publicKey       Required, the public key
+ * @return {string} MD5 fingerprint, e.g. '3b:16:bf:e4:8b:00:8b:b8:59:8c:a9:d3:f0:19:45:fa'
+ */
+var fingerprint = function(publicKey) {
+	return parse(publicKey).fingerprint;
+};
+
+module.exports = {
+	parse: parse,
+	fingerprint: fingerprint
+};
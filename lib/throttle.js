@@ -0,0 +1,110 @@
+/**
+ * <b>Request Throttle</b>.
+ * Queues tasks so that at most `concurrency` of them run at once and they start no faster than a token bucket allows:
+ * the bucket holds up to `burst` tokens, refills `rate` tokens every `interval` milliseconds and every task takes one.
+ * @constructor
+ * @param {Object}    options         Optional, { concurrency: Infinity, rate: Infinity, interval: 1000, burst: rate }
+ */
+var Throttle = function(options) {
+	options = options || {};
+
+	this.concurrency = options.concurrency || Infinity;
+	this.rate = options.rate || Infinity;
+	this.interval = options.interval || 1000;
+	this.burst = options.burst || this.rate;
+	this.tokens = this.burst;
+	this.refilledAt = Date.now();
+	this.pausedUntil = 0;
+	this.running = 0;
+	this.queue = [];
+	this.timer = null;
+};
+module.exports = Throttle;
+
+/**
+ * <b>Schedule a task</b>.
+ * The task is called with a done function once the throttle lets it run, it must call done when it's finished.
+ * @param {Function}  task            Required, function(done)
+ * @memberof Throttle
+ * @method schedule
+ */
+Throttle.prototype.schedule = function(task) {
+	this.queue.push(task);
+	this._next();
+};
+
+/**
+ * <b>Pause the throttle</b>.
+ * No task starts before the given time, e.g. until the API's rate limit resets.
+ * @param {number}    time            Required, milliseconds since the epoch
+ * @memberof Throttle
+ * @method pauseUntil
+ */
+Throttle.prototype.pauseUntil = function(time) {
+	this.pausedUntil = Math.max(this.pausedUntil, time);
+};
+
+/**
+ * Milliseconds until the next task may start, refilling the bucket on the way.
+ *
+ * @private
+ * @return {number}
+ */
+Throttle.prototype._wait = function() {
+	var now = Date.now();
+
+	if (this.pausedUntil > now) {
+		return this.pausedUntil - now;
+	}
+
+	if (this.rate !== Infinity) {
+		this.tokens = Math.min(this.burst, this.tokens + (now - this.refilledAt) * this.rate / this.interval);
+		this.refilledAt = now;
+	}
+
+	return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) * this.interval / this.rate);
+};
+
+/**
+ * Starts queued tasks while the throttle allows it.
+ *
+ * @private
+ */
+Throttle.prototype._next = function() {
+	var self = this;
+
+	while (!this.timer && this.queue.length && this.running < this.concurrency) {
+		var wait = this._wait();
+
+		if (wait > 0) {
+			this.timer = setTimeout(function() {
+				self.timer = null;
+				self._next();
+			}, wait);
+			return;
+		}
+
+		this.tokens--;
+		this.running++;
+		this._run(this.queue.shift());
+	}
+};
+
+/**
+ * Runs a task, freeing its slot once it's done.
+ *
+ * @private
+ * @param {Function}  task            function(done)
+ */
+Throttle.prototype._run = function(task) {
+	var self = this;
+	var finished = false;
+
+	task(function() {
+		if (!finished) {
+			finished = true;
+			self.running--;
+			self._next();
+		}
+	});
+};
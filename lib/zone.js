@@ -0,0 +1,346 @@
+var errors = require('./errors');
+var records = require('./records');
+
+var CLASSES = ['IN', 'CH', 'HS'];
+var TTL_UNITS = {s: 1, m: 60, h: 3600, d: 86400, w: 604800};
+var TXT_CHUNK = 255;
+
+/**
+ * Parses a TTL like '3600' or '1h30m' into seconds, null when it isn't one.
+ *
+ * @private
+ * @param {string}    value           the token
+ * @return {?number}
+ */
+var parseTtl = function(value) {
+	if (/^\d+$/.test(value)) {
+		return Number(value);
+	}
+
+	if (!/^(\d+[smhdw])+$/i.test(value)) {
+		return null;
+	}
+
+	var seconds = 0;
+	value.toLowerCase().replace(/(\d+)([smhdw])/g, function(match, amount, unit) {
+		seconds += Number(amount) * TTL_UNITS[unit];
+	});
+
+	return seconds;
+};
+
+/**
+ * Splits a zone file into entries of tokens, joining parenthesized lines and dropping comments.
+ * Tokens are { value, quoted }, entries { line, tokens, continued } where continued tells the owner was left out.
+ *
+ * @private
+ * @param {string}    text            the zone file
+ * @return {Array}
+ */
+var tokenize = function(text) {
+	var entries = [];
+	var entry = null;
+	var depth = 0;
+	var lines = text.split(/\r?\n/);
+
+	lines.forEach(function(line, index) {
+		if (depth === 0) {
+			entry = {line: index + 1, tokens: [], continued: /^[ \t]/.test(line)};
+		}
+
+		var i = 0;
+
+		while (i < line.length) {
+			var character = line.charAt(i);
+
+			if (character === ';') {
+				break;
+			} else if (character === ' ' || character === '\t') {
+				i++;
+			} else if (character === '(') {
+				depth++;
+				i++;
+			} else if (character === ')') {
+				depth--;
+				i++;
+			} else if (character === '"') {
+				var value = '';
+				i++;
+
+				while (i < line.length && line.charAt(i) !== '"') {
+					if (line.charAt(i) === '\\' && /^\d{3}$/.test(line.substr(i + 1, 3))) {
+						value += String.fromCharCode(Number(line.substr(i + 1, 3)));
+						i += 4;
+					} else if (line.charAt(i) === '\\') {
+						value += line.charAt(i + 1);
+						i += 2;
+					} else {
+						value += line.charAt(i++);
+					}
+				}
+
+				if (i >= line.length) {
+					throw new errors.ValidationError('Unterminated quoted string on line ' + (index + 1));
+				}
+
+				entry.tokens.push({value: value, quoted: true});
+				i++;
+			} else {
+				var start = i;
+
+				while (i < line.length && ' \t;()"'.indexOf(line.charAt(i)) === -1) {
+					i++;
+				}
+
+				entry.tokens.push({value: line.slice(start, i), quoted: false});
+			}
+		}
+
+		if (depth === 0 && entry.tokens.length) {
+			entries.push(entry);
+		}
+	});
+
+	if (depth !== 0) {
+		throw new errors.ValidationError('Unbalanced parentheses in zone file');
+	}
+
+	return entries;
+};
+
+/**
+ * Expands a hostname in record data: absolute names keep their trailing dot, relative ones get the origin appended.
+ *
+ * @private
+ * @param {string}    name            hostname as written in the zone file
+ * @param {string}    origin          current origin without the trailing dot
+ * @return {string}
+ */
+var expandHost = function(name, origin) {
+	if (name === '@') {
+		return '@';
+	}
+
+	return name.slice(-1) === '.' ? name : name + '.' + origin + '.';
+};
+
+/**
+ * Turns the data tokens of a record into record attributes.
+ *
+ * @private
+ * @param {string}    type            record type
+ * @param {Array}     tokens          data tokens
+ * @param {string}    origin          current origin
+ * @param {number}    line            line number for errors
+ * @return {Object}
+ */
+var parseData = function(type, tokens, origin, line) {
+	var values = tokens.map(function(token) {
+		return token.value;
+	});
+
+	var expect = function(count) {
+		if (values.length < count) {
+			throw new errors.ValidationError(type + ' record on line ' + line + ' needs ' + count + ' values');
+		}
+	};
+
+	switch (type) {
+		case 'A':
+		case 'AAAA':
+			expect(1);
+			return {data: values[0]};
+		case 'CNAME':
+		case 'NS':
+			expect(1);
+			return {data: expandHost(values[0], origin)};
+		case 'MX':
+			expect(2);
+			return {priority: Number(values[0]), data: expandHost(values[1], origin)};
+		case 'SRV':
+			expect(4);
+			return {priority: Number(values[0]), weight: Number(values[1]), port: Number(values[2]), data: expandHost(values[3], origin)};
+		case 'CAA':
+			expect(3);
+			return {flags: Number(values[0]), tag: values[1], data: values[2]};
+		case 'TXT':
+			expect(1);
+			return {data: values.join('')};
+		default:
+			return {data: values.join(' ')};
+	}
+};
+
+/**
+ * <b>Parse a zone file</b>.
+ * Reads a BIND zone file into domain records with names relative to the domain. Handles $ORIGIN, $TTL, comments,
+ * parenthesized records, left out owners, TTLs and classes in either order and quoted TXT strings.
+ * @param {string}    text            Required, the zone file
+ * @param {string}    domain          Required, the domain, used as origin until $ORIGIN sets another
+ * @return {Array} [{ type, name, data, ttl, priority, port, weight, flags, tag }]
+ */
+var parse = function(text, domain) {
+	var origin = domain.replace(/\.$/, '');
+	var defaultTtl = null;
+	var owner = null;
+	var lastTtl = null;
+	var list = [];
+
+	tokenize(text).forEach(function(entry) {
+		var tokens = entry.tokens.slice();
+		var first = tokens[0].value;
+
+		if (first.toUpperCase() === '$ORIGIN') {
+			origin = tokens[1].value.slice(-1) === '.' ? tokens[1].value.slice(0, -1) : tokens[1].value + '.' + origin;
+			return;
+		}
+
+		if (first.toUpperCase() === '$TTL') {
+			defaultTtl = parseTtl(tokens[1].value);
+			return;
+		}
+
+		if (first.charAt(0) === '$') {
+			throw new errors.ValidationError('Unsupported directive ' + first + ' on line ' + entry.line);
+		}
+
+		if (!entry.continued) {
+			var name = tokens.shift().value;
+			owner = name === '@' ? origin + '.' : expandHost(name, origin);
+		}
+
+		if (owner === null) {
+			throw new errors.ValidationError('Record without owner on line ' + entry.line);
+		}
+
+		var ttl = null;
+
+		while (tokens.length && !tokens[0].quoted) {
+			var value = tokens[0].value;
+
+			if (CLASSES.indexOf(value.toUpperCase()) !== -1) {
+				tokens.shift();
+			} else if (ttl === null && parseTtl(value) !== null) {
+				ttl = parseTtl(tokens.shift().value);
+			} else {
+				break;
+			}
+		}
+
+		if (!tokens.length) {
+			throw new errors.ValidationError('Record without type on line ' + entry.line);
+		}
+
+		var type = tokens.shift().value.toUpperCase();
+		var record = {type: type, name: records.relativeName(owner, domain.replace(/\.$/, ''))};
+		var data = parseData(type, tokens, origin, entry.line);
+
+		Object.keys(data).forEach(function(key) {
+			record[key] = data[key];
+		});
+
+		ttl = ttl !== null ? ttl : (defaultTtl !== null ? defaultTtl : lastTtl);
+
+		if (ttl !== null) {
+			record.ttl = ttl;
+			lastTtl = ttl;
+		}
+
+		list.push(record);
+	});
+
+	return list;
+};
+
+/**
+ * Quotes a TXT value, escaping quotes and backslashes and splitting it into strings of at most 255 characters.
+ *
+ * @private
+ * @param {string}    value           the TXT data
+ * @return {string}
+ */
+var quote = function(value) {
+	var chunks = [];
+	value = String(value);
+
+	for (var i = 0; i === 0 || i < value.length; i += TXT_CHUNK) {
+		chunks.push('"' + value.substr(i, TXT_CHUNK).replace(/(["\\])/g, '\\$1') + '"');
+	}
+
+	return chunks.join(' ');
+};
+
+/**
+ * Writes a hostname from record data as an absolute name, keeping '@'.
+ *
+ * @private
+ * @param {string}    data            hostname as returned by the API
+ * @return {string}
+ */
+var absoluteHost = function(data) {
+	return data === '@' || data.slice(-1) === '.' ? data : data + '.';
+};
+
+/**
+ * Record data in zone file form.
+ *
+ * @private
+ * @param {Object}    record          domain record
+ * @return {string}
+ */
+var formatData = function(record) {
+	switch (record.type) {
+		case 'CNAME':
+		case 'NS':
+			return absoluteHost(record.data);
+		case 'MX':
+			return record.priority + ' ' + absoluteHost(record.data);
+		case 'SRV':
+			return record.priority + ' ' + record.weight + ' ' + record.port + ' ' + absoluteHost(record.data);
+		case 'CAA':
+			return record.flags + ' ' + record.tag + ' ' + quote(record.data);
+		case 'TXT':
+			return quote(record.data);
+		default:
+			return String(record.data);
+	}
+};
+
+/**
+ * <b>Serialize a zone file</b>.
+ * Renders domain records as a BIND zone file with $ORIGIN and $TTL. The SOA record is rebuilt from the first NS record,
+ * since the API only keeps its TTL.
+ * @param {string}    domain          Required, the domain, e.g. 'example.com'
+ * @param {Array}     list            Required, domain records as returned by the API
+ * @param {Object}    options         Optional, { ttl: 1800, serial }, default TTL and SOA serial
+ * @return {string}
+ */
+var serialize = function(domain, list, options) {
+	options = options || {};
+	domain = domain.replace(/\.$/, '');
+
+	var ttl = options.ttl || 1800;
+	var lines = ['$ORIGIN ' + domain + '.', '$TTL ' + ttl];
+	var nameservers = list.filter(function(record) {
+		return record.type === 'NS' && records.relativeName(record.name, domain) === '@';
+	});
+
+	list.forEach(function(record) {
+		var name = records.relativeName(record.name, domain);
+
+		if (record.type === 'SOA') {
+			lines.push([name, record.ttl || ttl, 'IN', 'SOA', (nameservers.length ? absoluteHost(nameservers[0].data) : 'ns1.digitalocean.com.'),
+				'hostmaster.' + domain + '.', '(' + (options.serial || 1), 10800, 3600, 604800, (record.ttl || ttl) + ')'].join('\t'));
+			return;
+		}
+
+		lines.push([name, record.ttl || ttl, 'IN', record.type, formatData(record)].join('\t'));
+	});
+
+	return lines.join('\n') + '\n';
+};
+
+module.exports = {
+	parse: parse,
+	serialize: serialize
+};
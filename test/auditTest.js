@@ -0,0 +1,132 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('Audit', function() {
+	var Digitalocean = require('../lib/digitalocean');
+	var file = path.join(os.tmpdir(), 'digitalocean-audit-' + process.pid + '.jsonl');
+	var server = new Digitalocean.MockServer({token: 'token'});
+
+	before(function(done) {
+		server.listen(function(error) {
+			done(error);
+		});
+	});
+
+	after(function(done) {
+		fs.unlink(file, function() {
+			server.close(done);
+		});
+	});
+
+	beforeEach(function() {
+		server.reset();
+	});
+
+	it('should redact secrets at any depth', function() {
+		assert.deepEqual(Digitalocean.audit.redact({name: 'web-1', user_data: '#!/bin/sh', tags: ['web'], nested: {api_token: 'x'}}),
+			{name: 'web-1', user_data: '[REDACTED]', tags: ['web'], nested: {api_token: '[REDACTED]'}});
+	});
+
+	it('should not send mutating requests in a dry run', function(done) {
+		var entries = [];
+		var api = new Digitalocean('token', {baseUrl: server.url, dryRun: function(entry) {
+			entries.push(entry);
+		}});
+
+		api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {user_data: '#!/bin/sh'}, function(error, droplet) {
+			assert.ifError(error);
+			assert.strictEqual(droplet.dry_run, true);
+			assert.strictEqual(droplet.id, null);
+
+			api.dropletPowerOff(12, {wait: true}, function(error, action) {
+				assert.ifError(error);
+				assert.strictEqual(action.type, 'power_off');
+				assert.deepEqual(server.requests, []);
+				assert.deepEqual(entries.map(function(entry) {
+					return entry.method + ' ' + entry.path + ' ' + entry.outcome;
+				}), ['POST /droplets/ dry-run', 'POST /droplets/12/actions dry-run']);
+				assert.strictEqual(entries[0].body.user_data, '[REDACTED]');
+				done();
+			});
+		});
+	});
+
+	it('should make up a result per name and per tagged droplet in a dry run', function(done) {
+		var api = new Digitalocean('token', {baseUrl: server.url});
+		var dryRun = api.withOptions({dryRun: function() {}});
+
+		api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {tags: ['web']}, function(error, droplet) {
+			assert.ifError(error);
+
+			dryRun.dropletNewMany(['web-2', 'web-3'], 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {tags: ['web']}, function(error, droplets) {
+				assert.ifError(error);
+				assert.deepEqual(droplets.map(function(droplet) {
+					return [droplet.name, droplet.id, droplet.dry_run, droplet.tags];
+				}), [['web-2', null, true, ['web']], ['web-3', null, true, ['web']]]);
+				assert.strictEqual(droplets[0].names, undefined);
+
+				dryRun.dropletPowerOffByTag('web', {wait: true}, function(error, actions) {
+					assert.ifError(error);
+					assert.deepEqual(actions, [{type: 'power_off', id: null, dry_run: true, resource_type: 'droplet', resource_id: droplet.id}]);
+					assert.deepEqual(server.requests.filter(function(request) {
+						return request.method !== 'GET';
+					}).length, 1);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should only warn when the sink fails', function(done) {
+		var warnings = [];
+		var api = new Digitalocean('token', {
+			baseUrl: server.url,
+			audit: Digitalocean.audit.jsonLines(path.join(os.tmpdir(), 'no-such-directory-' + process.pid, 'audit.jsonl')),
+			onWarning: function(message) {
+				warnings.push(message);
+			}
+		});
+
+		api.domainNew('example.com', '203.0.113.10', function(error, domain) {
+			assert.ifError(error);
+			assert.strictEqual(domain.name, 'example.com');
+			assert.strictEqual(warnings.length, 1);
+			assert.ok(/^Could not record POST \/domains\/: ENOENT/.test(warnings[0]));
+
+			api.withOptions({audit: function() {
+				throw new Error('sink is down');
+			}}).domainDestroy('example.com', function(error) {
+				assert.ifError(error);
+				assert.strictEqual(warnings[1], 'Could not record DELETE /domains/example.com: sink is down');
+				done();
+			});
+		});
+	});
+
+	it('should write every mutating request to a JSON lines file', function(done) {
+		var api = new Digitalocean('token', {baseUrl: server.url, audit: Digitalocean.audit.jsonLines(file), retry: false});
+
+		api.domainNew('example.com', '203.0.113.10', function(error) {
+			assert.ifError(error);
+			server.failNext(422, 'unprocessable_entity', 'Name already exists');
+
+			api.domainNew('example.com', '203.0.113.10', function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+				api.domainGetAll(function(error) {
+					assert.ifError(error);
+
+					var entries = fs.readFileSync(file, 'utf8').trim().split('\n').map(JSON.parse);
+
+					assert.deepEqual(entries.map(function(entry) {
+						return entry.method + ' ' + entry.path + ' ' + entry.outcome + ' ' + entry.statusCode;
+					}), ['POST /domains/ success 201', 'POST /domains/ error 422']);
+					assert.strictEqual(entries[1].error, 'Name already exists');
+					done();
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,117 @@
+var assert = require('assert');
+var request = require('request');
+
+describe('Cache', function() {
+	var Digitalocean = require('../lib/digitalocean');
+	var server = new Digitalocean.MockServer({token: 'token'});
+	var statuses = [];
+
+	var transport = function(options, callback) {
+		request(options, function(error, response, body) {
+			statuses.push(response && response.statusCode);
+			callback(error, response, body);
+		});
+	};
+
+	before(function(done) {
+		server.listen(function(error) {
+			done(error);
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	beforeEach(function() {
+		server.reset();
+		statuses = [];
+	});
+
+	it('should answer repeated requests from the cache', function(done) {
+		var api = new Digitalocean('token', {baseUrl: server.url, transport: transport, cache: true});
+
+		api.sizeGetAll(function(error, sizes) {
+			assert.ifError(error);
+
+			api.sizeGetAll(function(error, again) {
+				assert.ifError(error);
+				assert.deepEqual(again, sizes);
+				assert.deepEqual(statuses, [200]);
+
+				api.withOptions({cache: false}).sizeGetAll(function(error) {
+					assert.ifError(error);
+					assert.deepEqual(statuses, [200, 200]);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should not let callers change cached responses', function(done) {
+		var api = new Digitalocean('token', {baseUrl: server.url, transport: transport, cache: true});
+
+		api.sizeGetAll(function(error, sizes) {
+			assert.ifError(error);
+			sizes[0].slug = 'MUTATED';
+
+			api.sizeGetAll(function(error, again) {
+				assert.ifError(error);
+				assert.strictEqual(again[0].slug, 's-1vcpu-1gb');
+				again[0].slug = 'MUTATED';
+
+				api.sizeGetAll(function(error, last) {
+					assert.ifError(error);
+					assert.strictEqual(last[0].slug, 's-1vcpu-1gb');
+					assert.deepEqual(statuses, [200]);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should revalidate expired responses with their ETag', function(done) {
+		var api = new Digitalocean('token', {baseUrl: server.url, transport: transport, cache: {ttl: {regions: 1}}});
+
+		api.regionGetAll(function(error) {
+			assert.ifError(error);
+
+			setTimeout(function() {
+				api.regionGetAll(function(error, body) {
+					assert.ifError(error);
+					assert.ok(body.regions.length > 0);
+					assert.deepEqual(statuses, [200, 304]);
+					done();
+				});
+			}, 5);
+		});
+	});
+
+	it('should drop image lists after an image is destroyed', function(done) {
+		var cache = new Digitalocean.Cache();
+		var api = new Digitalocean('token', {baseUrl: server.url, cache: cache});
+
+		api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+			assert.ifError(error);
+
+			api.dropletSnapshot(droplet.id, {name: 'before-upgrade'}, {wait: true, interval: 1}, function(error) {
+				assert.ifError(error);
+
+				api.imageGetMine(function(error, images) {
+					assert.ifError(error);
+					assert.strictEqual(images.length, 1);
+
+					api.imageDestroy(images[0].id, function(error) {
+						assert.ifError(error);
+
+						api.imageGetMine(function(error, images) {
+							assert.ifError(error);
+							assert.deepEqual(images, []);
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,130 @@
+var assert = require('assert');
+
+describe('Command line interface', function() {
+	var cli = require('../lib/cli');
+	var MockServer = require('../lib/mockserver');
+	var server = new MockServer({token: 'token'});
+
+	var run = function(argv, env, callback) {
+		var output = {stdout: '', stderr: ''};
+		var stream = function(name) {
+			return {write: function(text) {
+				output[name] += text;
+			}};
+		};
+
+		cli.run(argv, {env: env, stdout: stream('stdout'), stderr: stream('stderr')}, function(code) {
+			callback(code, output.stdout, output.stderr);
+		});
+	};
+
+	before(function(done) {
+		server.listen(done);
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	it('should parse arguments and flags', function() {
+		assert.deepEqual(cli.parseArgs(['droplet', 'reboot', '123', '--wait', '-o', 'json', '--tag=web']), {
+			args: ['droplet', 'reboot', '123'],
+			flags: {wait: true, output: 'json', tag: 'web'}
+		});
+		assert.throws(function() {
+			cli.parseArgs(['droplets', 'list', '--tag']);
+		}, /^Error: --tag needs a value$/);
+		assert.throws(function() {
+			cli.parseArgs(['domain', 'create', 'example.com', '--ip', '--wait']);
+		}, /^Error: --ip needs a value$/);
+	});
+
+	it('should render tables and YAML', function() {
+		var droplets = [{id: 1, name: 'web-1', region: {slug: 'nyc3'}}, {id: 12, name: 'db', region: {slug: 'ams3'}}];
+
+		assert.strictEqual(cli.table(droplets, ['id', 'name', 'region.slug']),
+			'ID  NAME   REGION_SLUG\n1   web-1  nyc3\n12  db     ams3\n');
+		assert.strictEqual(cli.yaml({name: 'web-1', tags: ['a', 'b'], size: {slug: '1gb'}, note: 'yes', empty: []}),
+			'name: web-1\ntags:\n  - a\n  - b\nsize:\n  slug: 1gb\nnote: "yes"\nempty: []\n');
+	});
+
+	it('should run commands with the token from the environment', function(done) {
+		var env = {DIGITALOCEAN_TOKEN: 'token', DIGITALOCEAN_BASE_URL: server.url};
+
+		run(['droplet', 'create', 'web-1', '--region', 'nyc3', '--size', 's-1vcpu-1gb', '--image', 'ubuntu-22-04-x64'], env, function(code) {
+			assert.strictEqual(code, cli.EXIT_CODES.ok);
+
+			run(['droplets', 'list', '--output', 'json'], env, function(code, stdout) {
+				assert.strictEqual(code, cli.EXIT_CODES.ok);
+				assert.deepEqual(JSON.parse(stdout).map(function(droplet) {
+					return droplet.name;
+				}), ['web-1']);
+				done();
+			});
+		});
+	});
+
+	it('should accept droplet names where ids are expected', function(done) {
+		var env = {DIGITALOCEAN_TOKEN: 'token', DIGITALOCEAN_BASE_URL: server.url};
+
+		run(['droplet', 'create', 'db-1', '--region', 'nyc3', '--size', 's-1vcpu-1gb', '--image', 'ubuntu-22-04-x64', '-o', 'json'], env, function(code, stdout) {
+			assert.strictEqual(code, cli.EXIT_CODES.ok);
+
+			run(['droplet', 'get', 'db-1', '-o', 'json'], env, function(code, output) {
+				assert.strictEqual(code, cli.EXIT_CODES.ok);
+				assert.strictEqual(JSON.parse(output).id, JSON.parse(stdout).id);
+
+				run(['droplet', 'reboot', 'db-9'], env, function(code) {
+					assert.strictEqual(code, cli.EXIT_CODES.notFound);
+					done();
+				});
+			});
+		});
+	});
+
+	it('should exit with distinct codes for errors', function(done) {
+		var env = {DIGITALOCEAN_TOKEN: 'token', DIGITALOCEAN_BASE_URL: server.url};
+
+		run(['droplet', 'get', '999'], env, function(code, stdout, stderr) {
+			assert.strictEqual(code, cli.EXIT_CODES.notFound);
+			assert.ok(/NotFoundError/.test(stderr));
+
+			run(['sizes'], {DIGITALOCEAN_TOKEN: 'wrong', DIGITALOCEAN_BASE_URL: server.url}, function(code) {
+				assert.strictEqual(code, cli.EXIT_CODES.authentication);
+
+				run(['droplet', 'create', 'web-2', '--region', 'nyc3', '--size', 'huge', '--image', 'ubuntu-22-04-x64'], env, function(code) {
+					assert.strictEqual(code, cli.EXIT_CODES.validation);
+
+					run(['droplet', 'explode'], env, function(code) {
+						assert.strictEqual(code, cli.EXIT_CODES.usage);
+
+						run(['droplets', 'list', '--tag'], env, function(code, stdout, stderr) {
+							assert.strictEqual(code, cli.EXIT_CODES.usage);
+							assert.strictEqual(stderr, '--tag needs a value\n');
+							done();
+						});
+					});
+				});
+			});
+		});
+	});
+
+	it('should reject unknown flag values', function(done) {
+		var env = {DIGITALOCEAN_TOKEN: 'token', DIGITALOCEAN_BASE_URL: server.url};
+		var sent = server.requests.length;
+
+		run(['image', 'list', '--type', 'snapshot'], env, function(code, stdout, stderr) {
+			assert.strictEqual(code, cli.EXIT_CODES.usage);
+			assert.strictEqual(stderr, '--type must be one of distribution, application, mine\n');
+			assert.strictEqual(server.requests.length, sent);
+
+			run(['image', 'list', '--type', 'application', '-o', 'json'], env, function(code, stdout) {
+				assert.strictEqual(code, cli.EXIT_CODES.ok);
+				assert.deepEqual(JSON.parse(stdout).map(function(image) {
+					return image.slug;
+				}), ['docker-20-04']);
+				done();
+			});
+		});
+	});
+});
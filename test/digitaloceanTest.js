@@ -1,55 +1,1283 @@
-var fs = require('fs');
-var path = require('path');
-var config = JSON.parse(fs.readFileSync(path.normalize(__dirname + '/config.json', 'utf8')));
+var assert = require('assert');
+var request = require('request');
+
+var PUBLIC_KEY = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIKdgBHWcr7A5aLUHmgYnmpXO+3i6V2NhFHZQCLlmV0E8 me@host';
 
 describe('DigitalOcean API', function() {
 	var Digitalocean = require('../lib/digitalocean');
-	var api = new Digitalocean(config.clientId, config.apiKey);
+	var server = new Digitalocean.MockServer({token: 'token'});
+	var api;
+
+	before(function(done) {
+		server.listen(function(error, url) {
+			api = new Digitalocean('token', {baseUrl: url, retry: {minDelay: 1, maxDelay: 5}});
+			done(error);
+		});
+	});
+
+	after(function(done) {
+		server.close(done);
+	});
+
+	beforeEach(function() {
+		server.reset();
+	});
 
 	describe('Droplet test', function() {
+		it('should create a droplet and wait for it to become active', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {tags: ['web']}, function(error, droplet) {
+				assert.ifError(error);
+				assert.strictEqual(droplet.status, 'new');
+
+				api.waitForDropletStatus(droplet.id, 'active', {interval: 1}, function(error, droplet) {
+					assert.ifError(error);
+					assert.strictEqual(droplet.name, 'web-1');
+					done();
+				});
+			});
+		});
+
+		it('should take the callback in place of the optionals', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplet) {
+				assert.ifError(error);
+				assert.strictEqual(droplet.name, 'web-1');
+				done();
+			});
+		});
+
 		it('should get all droplets', function(done) {
-			api.dropletGetAll(done);
+			api.dropletNewMany(['web-1', 'web-2', 'web-3'], 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error) {
+				assert.ifError(error);
+
+				api.dropletGetAll({per_page: 2}, function(error, droplets, meta) {
+					assert.ifError(error);
+					assert.strictEqual(droplets.length, 3);
+					assert.strictEqual(meta.total, 3);
+					done();
+				});
+			});
+		});
+
+		it('should run an action and wait for it to complete', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletPowerOff(droplet.id, {wait: true, interval: 1}, function(error, action) {
+					assert.ifError(error);
+					assert.strictEqual(action.status, 'completed');
+
+					api.dropletGet(droplet.id, function(error, droplet) {
+						assert.ifError(error);
+						assert.strictEqual(droplet.status, 'off');
+						done();
+					});
+				});
+			});
+		});
+
+		it('should pass a NotFoundError for a destroyed droplet', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletDestroy(droplet.id, function(error) {
+					assert.ifError(error);
+
+					api.dropletGet(droplet.id, function(error) {
+						assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+						assert.strictEqual(error.id, 'not_found');
+						done();
+					});
+				});
+			});
+		});
+
+		it('should pass a ValidationError for an unknown size', function(done) {
+			api.dropletNew('web-1', 'nyc3', 'huge', 'ubuntu-22-04-x64', {}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.strictEqual(error.statusCode, 422);
+				done();
+			});
+		});
+
+		it('should run an action on several droplets and pass a result per droplet', function(done) {
+			api.dropletNewMany(['web-1', 'web-2'], 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplets) {
+				assert.ifError(error);
+
+				var ids = droplets.map(function(droplet) {
+					return droplet.id;
+				});
+
+				api.dropletActionMany(ids.concat(12345), 'power_off', {concurrency: 1, wait: true, interval: 1}, function(error, results) {
+					assert.ifError(error);
+					assert.deepEqual(results.map(function(result) {
+						return result.id;
+					}), ids.concat(12345));
+					assert.strictEqual(results[0].action.status, 'completed');
+					assert.strictEqual(results[1].action.status, 'completed');
+					assert.ok(results[2].error instanceof Digitalocean.errors.NotFoundError);
+					assert.deepEqual(server.droplets.map(function(droplet) {
+						return droplet.status;
+					}), ['off', 'off']);
+					done();
+				});
+			});
+		});
+
+		it('should pass a ValidationError for an action without a type', function(done) {
+			api.dropletActionMany([1, 2], {size: 's-2vcpu-2gb'}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.strictEqual(server.requests.length, 0);
+				done();
+			});
+		});
+
+		it('should destroy several droplets and pass a result per droplet', function(done) {
+			api.dropletNewMany(['web-1', 'web-2', 'web-3'], 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplets) {
+				assert.ifError(error);
+
+				api.dropletDestroyMany([droplets[0].id, 12345, droplets[2].id], {concurrency: 2}, function(error, results) {
+					assert.ifError(error);
+					assert.deepEqual(results[0], {id: droplets[0].id});
+					assert.ok(results[1].error instanceof Digitalocean.errors.NotFoundError);
+					assert.deepEqual(results[2], {id: droplets[2].id});
+					assert.deepEqual(server.droplets.map(function(droplet) {
+						return droplet.name;
+					}), ['web-2']);
+					done();
+				});
+			});
+		});
+
+		it('should enable and disable droplet features and list the actions', function(done) {
+			var wait = {wait: true, interval: 1};
+
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletEnableBackups(droplet.id, wait, function(error) {
+					assert.ifError(error);
+
+					api.dropletEnableIpv6(droplet.id, wait, function(error) {
+						assert.ifError(error);
+
+						api.dropletEnablePrivateNetworking(droplet.id, wait, function(error) {
+							assert.ifError(error);
+
+							api.dropletDisableBackups(droplet.id, wait, function(error, action) {
+								assert.ifError(error);
+								assert.strictEqual(action.status, 'completed');
+
+								api.dropletGet(droplet.id, function(error, found) {
+									assert.ifError(error);
+									assert.deepEqual(found.features, ['ipv6', 'private_networking']);
+
+									api.dropletActionGetAll(droplet.id, function(error, actions) {
+										assert.ifError(error);
+										assert.deepEqual(actions.map(function(action) {
+											return action.type;
+										}), ['disable_backups', 'enable_private_networking', 'enable_ipv6', 'enable_backups', 'create']);
+										done();
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should change the kernel to a listed one', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletKernelGetAll(droplet.id, function(error, kernels) {
+					assert.ifError(error);
+					assert.strictEqual(kernels.length, 1);
+
+					api.dropletChangeKernel(droplet.id, kernels[0].id, function(error, action) {
+						assert.ifError(error);
+						assert.strictEqual(action.type, 'change_kernel');
+						assert.deepEqual(server.requests[server.requests.length - 1].body, {type: 'change_kernel', kernel: kernels[0].id});
+						done();
+					});
+				});
+			});
+		});
+
+		it('should take a named snapshot and list the snapshots, backups and neighbors', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletSnapshot(droplet.id, {name: 'before-upgrade'}, {wait: true, interval: 1}, function(error) {
+					assert.ifError(error);
+					assert.deepEqual(server.requests.filter(function(request) {
+						return request.method === 'POST' && request.path === '/v2/droplets/' + droplet.id + '/actions';
+					})[0].body, {name: 'before-upgrade', type: 'snapshot'});
+
+					api.dropletSnapshotGetAll(droplet.id, function(error, snapshots) {
+						assert.ifError(error);
+						assert.deepEqual(snapshots.map(function(snapshot) {
+							return snapshot.name;
+						}), ['before-upgrade']);
+
+						api.dropletBackupGetAll(droplet.id, function(error, backups) {
+							assert.ifError(error);
+							assert.deepEqual(backups, []);
+
+							api.dropletNeighborGetAll(droplet.id, function(error, neighbors) {
+								assert.ifError(error);
+								assert.deepEqual(neighbors, []);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass a NotFoundError for the actions and lists of a missing droplet', function(done) {
+			api.dropletEnableBackups(999, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+
+				api.dropletSnapshotGetAll(999, function(error) {
+					assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+
+					api.dropletNeighborGetAll(999, function(error) {
+						assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('Wait test', function() {
+		afterEach(function() {
+			server.actionDuration = 0;
+		});
+
+		it('should pass a TimeoutError when an action takes too long', function(done) {
+			server.actionDuration = 60000;
+
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletPowerOff(droplet.id, {wait: true, interval: 5, timeout: 20}, function(error) {
+					assert.ok(error instanceof Digitalocean.errors.TimeoutError);
+					assert.strictEqual(error.action.status, 'in-progress');
+
+					api.waitForDropletStatus(droplet.id, 'off', {interval: 5, timeout: 20}, function(error) {
+						assert.ok(error instanceof Digitalocean.errors.TimeoutError);
+						assert.strictEqual(error.droplet.id, droplet.id);
+						done();
+					});
+				});
+			});
+		});
+
+		it('should pass an ActionError when an action errored', function(done) {
+			server.actionDuration = 60000;
+
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletPowerOff(droplet.id, function(error, action) {
+					assert.ifError(error);
+
+					server.pending = [];
+					server.actions[0].status = 'errored';
+
+					api.waitForAction(action, {interval: 1}, function(error) {
+						assert.ok(error instanceof Digitalocean.errors.ActionError);
+						assert.ok(error instanceof Digitalocean.errors.DigitalOceanError);
+						assert.strictEqual(error.action.id, action.id);
+						done();
+					});
+				});
+			});
 		});
 	});
-	
-	describe('Region test', function() {    
+
+	describe('Pagination test', function() {
+		var names = ['web-1', 'web-2', 'web-3', 'web-4', 'web-5'];
+
+		beforeEach(function(done) {
+			api.dropletNewMany(names, 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', done);
+		});
+
+		it('should stream every page to onPage', function(done) {
+			var pages = [];
+
+			api.dropletGetAll({per_page: 2, onPage: function(droplets, meta) {
+				pages.push(droplets.map(function(droplet) {
+					return droplet.name;
+				}));
+				assert.strictEqual(meta.total, 5);
+			}}, function(error, droplets) {
+				assert.ifError(error);
+				assert.strictEqual(droplets, undefined);
+				assert.deepEqual(pages, [['web-1', 'web-2'], ['web-3', 'web-4'], ['web-5']]);
+				done();
+			});
+		});
+
+		it('should stop when onPage returns false', function(done) {
+			var pages = 0;
+
+			api.dropletGetAll({per_page: 2, onPage: function() {
+				pages++;
+				return false;
+			}}, function(error) {
+				assert.ifError(error);
+				assert.strictEqual(pages, 1);
+				assert.strictEqual(server.requests.length, 2);
+				done();
+			});
+		});
+
+		it('should only fetch the page asked for', function(done) {
+			server.requests = [];
+
+			api.dropletGetAll({page: 2, per_page: 2}, function(error, droplets, meta) {
+				assert.ifError(error);
+				assert.deepEqual(droplets.map(function(droplet) {
+					return droplet.name;
+				}), ['web-3', 'web-4']);
+				assert.strictEqual(meta.total, 5);
+				assert.strictEqual(server.requests.length, 1);
+				assert.strictEqual(server.requests[0].query.page, '2');
+				done();
+			});
+		});
+	});
+
+	describe('Validation test', function() {
+		it('should validate new droplets before creating them', function(done) {
+			var validating = api.withOptions({validateDroplets: true});
+			server.regions[1].sizes = ['s-1vcpu-1gb'];
+
+			validating.dropletNew('web_1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.deepEqual(server.requests, []);
+
+				validating.dropletNewMany(['web-1', 'web-2'], 'sfo3', 's-2vcpu-4gb', 'no-such-image', function(error) {
+					assert.ok(error instanceof Digitalocean.errors.ValidationError);
+					assert.deepEqual(error.problems, ['size s-2vcpu-4gb is not available in sfo3', 'unknown image "no-such-image"']);
+					assert.deepEqual(server.droplets, []);
+					done();
+				});
+			});
+		});
+
+		it('should resolve droplets, images and SSH keys by name', function(done) {
+			api.sshKeyAdd('laptop', PUBLIC_KEY, function(error, key) {
+				assert.ifError(error);
+
+				api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {ssh_keys: ['laptop']}, function(error, droplet) {
+					assert.ifError(error);
+					assert.deepEqual(server.requests[server.requests.length - 1].body.ssh_keys, [key.id]);
+
+					api.dropletResolve('web-1', function(error, found) {
+						assert.ifError(error);
+						assert.strictEqual(found.id, droplet.id);
+
+						api.imageResolve('debian-12-x64', function(error, image) {
+							assert.ifError(error);
+							assert.strictEqual(image.id, 1002);
+
+							api.sshKeyResolve('desktop', function(error) {
+								assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+
+	describe('Region test', function() {
 		it('should get all regions', function(done) {
-			api.regionGetAll(done);
+			api.regionGetAll(function(error, body) {
+				assert.ifError(error);
+				assert.ok(body.regions.length > 0);
+				done();
+			});
 		});
-		
 	});
-	
-	describe('Image test', function() {    
+
+	describe('Image test', function() {
 		it('should get all images', function(done) {
-			this.timeout(8000);
-			api.imageGetAll(done);
+			api.imageGetAll(function(error, images) {
+				assert.ifError(error);
+				assert.ok(images.length > 0);
+				done();
+			});
 		});
-		
-		it('should get global images', function(done) {
-			this.timeout(8000);
-			api.imageGetGlobal(done);
+
+		it('should get distribution images', function(done) {
+			api.imageGetDistribution(function(error, images) {
+				assert.ifError(error);
+				assert.ok(images.every(function(image) {
+					return image.public;
+				}));
+				done();
+			});
 		});
-		
+
 		it('should get my images', function(done) {
-			api.imageGetMine(done);
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.dropletSnapshot(droplet.id, {name: 'before-upgrade'}, {wait: true, interval: 1}, function(error) {
+					assert.ifError(error);
+
+					api.imageGetMine(function(error, images) {
+						assert.ifError(error);
+						assert.deepEqual(images.map(function(image) {
+							return image.name;
+						}), ['before-upgrade']);
+						done();
+					});
+				});
+			});
 		});
 	});
-	
-	describe('SSH test', function() {    
-		it('should get all sshKeys', function(done) {
-			api.sshKeyGetAll(done);
+
+	describe('SSH test', function() {
+		it('should add an SSH key only once', function(done) {
+			api.sshKeyEnsure('laptop', PUBLIC_KEY, function(error, key) {
+				assert.ifError(error);
+
+				api.sshKeyEnsure('laptop', PUBLIC_KEY, function(error, again) {
+					assert.ifError(error);
+					assert.strictEqual(again.id, key.id);
+
+					api.sshKeyGetAll(function(error, keys) {
+						assert.ifError(error);
+						assert.strictEqual(keys.length, 1);
+						done();
+					});
+				});
+			});
 		});
 	});
-	
-	describe('Size test', function() {    
+
+	describe('Size test', function() {
 		it('should get all sizes', function(done) {
-			api.sizeGetAll(done);
+			api.sizeGetAll(function(error, sizes) {
+				assert.ifError(error);
+				assert.ok(sizes.length > 0);
+				done();
+			});
 		});
 	});
-	
-	describe('Domain test', function() {    
+
+	describe('Domain test', function() {
+		it('should create a domain and its records', function(done) {
+			api.domainNew('example.com', '203.0.113.10', function(error) {
+				assert.ifError(error);
+
+				api.domainRecordNew('example.com', 'www', 'CNAME', '@', {}, function(error) {
+					assert.ifError(error);
+
+					api.domainRecordGetAll('example.com', {name: 'www'}, function(error, list) {
+						assert.ifError(error);
+						assert.strictEqual(list.length, 1);
+						assert.strictEqual(list[0].type, 'CNAME');
+						done();
+					});
+				});
+			});
+		});
+
+		it('should take the callback in place of the record optionals', function(done) {
+			api.domainNew('example.com', '203.0.113.10', function(error) {
+				assert.ifError(error);
+
+				api.domainRecordNew('example.com', 'www', 'A', '203.0.113.20', function(error, record) {
+					assert.ifError(error);
+
+					api.domainRecordEdit('example.com', record.id, 'www', 'A', '203.0.113.30', function(error, record) {
+						assert.ifError(error);
+						assert.strictEqual(record.data, '203.0.113.30');
+						done();
+					});
+				});
+			});
+		});
+
 		it('should get all domains', function(done) {
-			api.domainGetAll(done);
+			api.domainGetAll(function(error, domains) {
+				assert.ifError(error);
+				assert.deepEqual(domains, []);
+				done();
+			});
+		});
+
+		it('should sync records, changing only what differs', function(done) {
+			var desired = [
+				{type: 'A', name: '@', data: '203.0.113.10'},
+				{type: 'A', name: 'www', data: '203.0.113.30'},
+				{type: 'MX', name: '@', data: 'mail.example.com', priority: 10}
+			];
+
+			api.domainNew('example.com', '203.0.113.10', function(error) {
+				assert.ifError(error);
+
+				api.domainRecordNew('example.com', 'www', 'A', '203.0.113.20', {}, function(error) {
+					assert.ifError(error);
+
+					api.domainRecordNew('example.com', 'old', 'TXT', 'stale', {}, function(error) {
+						assert.ifError(error);
+
+						api.domainSync('example.com', desired, {prune: true}, function(error, plan) {
+							assert.ifError(error);
+							assert.deepEqual([plan.create.length, plan.update.length, plan.destroy.length, plan.unchanged.length], [1, 1, 1, 1]);
+							assert.deepEqual(server.records['example.com'].filter(function(record) {
+								return record.type !== 'SOA' && record.type !== 'NS';
+							}).map(function(record) {
+								return record.type + ' ' + record.name + ' ' + record.data;
+							}).sort(), ['A @ 203.0.113.10', 'A www 203.0.113.30', 'MX @ mail.example.com']);
+
+							var sent = server.requests.length;
+
+							api.domainSync('example.com', desired, {prune: true, dryRun: true}, function(error, plan) {
+								assert.ifError(error);
+								assert.strictEqual(plan.unchanged.length, 3);
+								assert.deepEqual(server.requests.slice(sent).map(function(request) {
+									return request.method;
+								}), ['GET']);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass errors from syncing', function(done) {
+			api.domainSync('example.com', [], function(error) {
+				assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+
+				api.domainNew('example.com', '203.0.113.10', function(error) {
+					assert.ifError(error);
+
+					api.domainSync('example.com', [{type: 'A', name: 'www', data: ''}], function(error) {
+						assert.ok(error instanceof Digitalocean.errors.ValidationError);
+						done();
+					});
+				});
+			});
+		});
+
+		it('should export a zone file and import it into another domain', function(done) {
+			api.domainNew('example.com', '203.0.113.10', function(error) {
+				assert.ifError(error);
+
+				api.domainRecordNew('example.com', '@', 'MX', 'mail.example.com.', {priority: 10}, function(error) {
+					assert.ifError(error);
+
+					api.domainExportZone('example.com', function(error, text) {
+						assert.ifError(error);
+						assert.ok(/^@\t1800\tIN\tMX\t10 mail\.example\.com\.$/m.test(text));
+
+						api.domainNew('example.org', '203.0.113.20', function(error) {
+							assert.ifError(error);
+
+							api.domainImportZone('example.org', text.replace(/example\.com/g, 'example.org'), {prune: true}, function(error, plan) {
+								assert.ifError(error);
+								assert.deepEqual(plan.create.map(function(record) {
+									return record.type;
+								}), ['MX']);
+								assert.deepEqual(plan.update.map(function(update) {
+									return update.changes.data;
+								}), ['203.0.113.10']);
+
+								api.domainImportZone('example.org', text.replace(/example\.com/g, 'example.org'), function(error, plan) {
+									assert.ifError(error);
+									assert.deepEqual([plan.create.length, plan.update.length, plan.destroy.length], [0, 0, 0]);
+									done();
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass errors from zone files and unknown domains', function(done) {
+			api.domainImportZone('example.com', 'www IN A (203.0.113.10', function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.strictEqual(server.requests.length, 0);
+
+				api.domainExportZone('example.com', function(error) {
+					assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('Volume test', function() {
+		it('should create, attach, resize, snapshot and destroy a volume', function(done) {
+			var wait = {wait: true, interval: 1};
+
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.volumeNew('data', 10, 'nyc3', {description: 'database'}, function(error, volume) {
+					assert.ifError(error);
+					assert.strictEqual(volume.size_gigabytes, 10);
+
+					api.volumeAttach(volume.id, droplet.id, wait, function(error, action) {
+						assert.ifError(error);
+						assert.strictEqual(action.status, 'completed');
+
+						api.volumeResize(volume.id, 20, wait, function(error) {
+							assert.ifError(error);
+
+							api.volumeGetByName('data', 'nyc3', function(error, found) {
+								assert.ifError(error);
+								assert.deepEqual(found.droplet_ids, [droplet.id]);
+								assert.strictEqual(found.size_gigabytes, 20);
+
+								api.volumeSnapshotNew(volume.id, 'data-backup', function(error, snapshot) {
+									assert.ifError(error);
+
+									api.volumeSnapshotGetAll(volume.id, function(error, snapshots) {
+										assert.ifError(error);
+										assert.deepEqual(snapshots.map(function(item) {
+											return item.id;
+										}), [snapshot.id]);
+
+										api.volumeDetach(volume.id, droplet.id, wait, function(error) {
+											assert.ifError(error);
+
+											api.volumeDestroy(volume.id, function(error) {
+												assert.ifError(error);
+												assert.deepEqual(server.volumes, []);
+												done();
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass errors for invalid volumes and attachments', function(done) {
+			api.volumeNew('Data Disk', 10, 'nyc3', {}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+				api.dropletNew('web-1', 'ams3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+					assert.ifError(error);
+
+					api.volumeNew('data', 10, 'nyc3', {}, function(error, volume) {
+						assert.ifError(error);
+
+						api.volumeAttach(volume.id, droplet.id, function(error) {
+							assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+							api.volumeGetByName('data', 'ams3', function(error) {
+								assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should take the callback in place of the optionals', function(done) {
+			api.volumeNew('data', 10, 'nyc3', function(error, volume) {
+				assert.ifError(error);
+				assert.strictEqual(volume.name, 'data');
+				done();
+			});
+		});
+	});
+
+	describe('Tag test', function() {
+		it('should tag droplets and act on them by tag', function(done) {
+			api.dropletNewMany(['web-1', 'web-2', 'db-1'], 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', function(error, droplets) {
+				assert.ifError(error);
+
+				api.tagNew('web', function(error, tag) {
+					assert.ifError(error);
+					assert.strictEqual(tag.name, 'web');
+
+					api.tagResources('web', [droplets[0].id, droplets[1].id], function(error) {
+						assert.ifError(error);
+
+						api.dropletPowerOffByTag('web', {wait: true, interval: 1}, function(error, actions) {
+							assert.ifError(error);
+							assert.deepEqual(actions.map(function(action) {
+								return action.resource_id + ' ' + action.status;
+							}), [droplets[0].id + ' completed', droplets[1].id + ' completed']);
+
+							api.untagResources('web', [droplets[1].id], function(error) {
+								assert.ifError(error);
+
+								api.dropletDestroyByTag('web', function(error) {
+									assert.ifError(error);
+									assert.deepEqual(server.droplets.map(function(droplet) {
+										return droplet.name;
+									}), ['web-2', 'db-1']);
+									assert.strictEqual(server.droplets[0].status, 'off');
+
+									api.tagDestroy('web', function(error) {
+										assert.ifError(error);
+
+										api.tagGetAll(function(error, tags) {
+											assert.ifError(error);
+											assert.deepEqual(tags, []);
+											done();
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass errors for invalid and unknown tags', function(done) {
+			api.tagNew('not a tag', function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+				api.tagGet('web', function(error) {
+					assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+
+					api.tagResources('web', [1], function(error) {
+						assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('Floating IP test', function() {
+		it('should reserve floating IPs for a droplet given by id and in a region', function(done) {
+			api.dropletNew('web-1', 'ams3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.floatingIpNew(String(droplet.id), function(error, assigned) {
+					assert.ifError(error);
+					assert.strictEqual(assigned.droplet.id, droplet.id);
+					assert.strictEqual(assigned.region.slug, 'ams3');
+					assert.deepEqual(server.requests[server.requests.length - 1].body, {droplet_id: droplet.id});
+
+					api.floatingIpNew('sfo3', function(error, reserved) {
+						assert.ifError(error);
+						assert.strictEqual(reserved.droplet, null);
+						assert.strictEqual(reserved.region.slug, 'sfo3');
+
+						api.floatingIpAssign(reserved.ip, droplet.id, {wait: true, interval: 1}, function(error) {
+							assert.ifError(error);
+
+							api.floatingIpGetAll(function(error, floatingIps) {
+								assert.ifError(error);
+								assert.deepEqual(floatingIps.map(function(floatingIp) {
+									return floatingIp.droplet && floatingIp.droplet.id;
+								}), [droplet.id, droplet.id]);
+								done();
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass a ValidationError for an unknown region or droplet', function(done) {
+			api.floatingIpNew('nyc9', function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+				api.floatingIpNew(404, function(error) {
+					assert.ok(error instanceof Digitalocean.errors.ValidationError);
+					assert.deepEqual(server.floatingIps, []);
+					done();
+				});
+			});
+		});
+	});
+
+	describe('Firewall test', function() {
+		it('should create a firewall and change its droplets, tags and rules', function(done) {
+			var ssh = Digitalocean.firewall.allowInbound('tcp', 22).from({addresses: ['0.0.0.0/0']});
+			var web = Digitalocean.firewall.allowInbound('tcp', 443).from({addresses: ['0.0.0.0/0', '::/0']});
+
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.firewallNew('web', {inbound_rules: [ssh]}, function(error, firewall) {
+					assert.ifError(error);
+					assert.deepEqual(firewall.inbound_rules, [{protocol: 'tcp', ports: '22', sources: {addresses: ['0.0.0.0/0']}}]);
+
+					api.firewallAddDroplets(firewall.id, [droplet.id], function(error) {
+						assert.ifError(error);
+
+						api.firewallAddTags(firewall.id, ['frontend'], function(error) {
+							assert.ifError(error);
+
+							api.firewallAddRules(firewall.id, {inbound_rules: [web]}, function(error) {
+								assert.ifError(error);
+
+								api.firewallRemoveRules(firewall.id, {inbound_rules: [ssh]}, function(error) {
+									assert.ifError(error);
+
+									api.firewallGet(firewall.id, function(error, found) {
+										assert.ifError(error);
+										assert.deepEqual(found.droplet_ids, [droplet.id]);
+										assert.deepEqual(found.tags, ['frontend']);
+										assert.deepEqual(found.inbound_rules.map(function(rule) {
+											return rule.ports;
+										}), ['443']);
+
+										api.firewallUpdate(firewall.id, {name: 'web-2', inbound_rules: [ssh]}, function(error, updated) {
+											assert.ifError(error);
+											assert.strictEqual(updated.name, 'web-2');
+											assert.deepEqual(updated.droplet_ids, []);
+
+											api.firewallDestroy(firewall.id, function(error) {
+												assert.ifError(error);
+												assert.deepEqual(server.firewalls, []);
+												done();
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass errors for invalid rules, droplets and firewalls', function(done) {
+			api.firewallNew('web', {inbound_rules: [{protocol: 'tcp', ports: '70000', sources: {addresses: ['0.0.0.0/0']}}]}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.strictEqual(server.requests.length, 0);
+
+				api.firewallNew('web', {}, function(error, firewall) {
+					assert.ifError(error);
+
+					api.firewallAddDroplets(firewall.id, [12345], function(error) {
+						assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+						api.firewallGet('00000000-0000-4000-8000-999999999999', function(error) {
+							assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should take the callback in place of the optionals', function(done) {
+			api.firewallNew('web', function(error, firewall) {
+				assert.ifError(error);
+				assert.deepEqual(firewall.inbound_rules, []);
+				done();
+			});
+		});
+	});
+
+	describe('Load Balancer test', function() {
+		var http = {entry_protocol: 'http', entry_port: 80, target_protocol: 'http', target_port: 8080};
+		var tcp = {entry_protocol: 'tcp', entry_port: 5432, target_protocol: 'tcp', target_port: 5432};
+
+		it('should create a load balancer and change its droplets and forwarding rules', function(done) {
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+
+				api.loadBalancerNew('lb-1', 'nyc3', [http], {algorithm: 'least_connections'}, function(error, loadBalancer) {
+					assert.ifError(error);
+					assert.strictEqual(loadBalancer.algorithm, 'least_connections');
+					assert.strictEqual(loadBalancer.region.slug, 'nyc3');
+
+					api.loadBalancerAddDroplets(loadBalancer.id, [droplet.id], function(error) {
+						assert.ifError(error);
+
+						api.loadBalancerAddForwardingRules(loadBalancer.id, [tcp], function(error) {
+							assert.ifError(error);
+
+							api.loadBalancerRemoveForwardingRules(loadBalancer.id, [http], function(error) {
+								assert.ifError(error);
+
+								api.loadBalancerGet(loadBalancer.id, function(error, found) {
+									assert.ifError(error);
+									assert.deepEqual(found.droplet_ids, [droplet.id]);
+									assert.deepEqual(found.forwarding_rules, [tcp]);
+
+									api.loadBalancerUpdate(loadBalancer.id, {name: 'lb-2', region: 'nyc3', forwarding_rules: [http], tag: 'web'}, function(error, updated) {
+										assert.ifError(error);
+										assert.strictEqual(updated.name, 'lb-2');
+										assert.strictEqual(updated.algorithm, 'round_robin');
+										assert.deepEqual(updated.droplet_ids, []);
+
+										api.loadBalancerGetAll(function(error, loadBalancers) {
+											assert.ifError(error);
+											assert.strictEqual(loadBalancers.length, 1);
+
+											api.loadBalancerDestroy(loadBalancer.id, function(error) {
+												assert.ifError(error);
+												assert.deepEqual(server.loadBalancers, []);
+												done();
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		it('should pass errors for invalid load balancers and droplets', function(done) {
+			api.loadBalancerNew('lb-1', 'nyc3', [], {}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+				api.loadBalancerNew('lb-1', 'nyc3', [http], {tag: 'web'}, function(error, loadBalancer) {
+					assert.ifError(error);
+
+					api.loadBalancerAddDroplets(loadBalancer.id, [12345], function(error) {
+						assert.ok(error instanceof Digitalocean.errors.ValidationError);
+
+						api.loadBalancerGet('00000000-0000-4000-8000-999999999999', function(error) {
+							assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should take the callback in place of the optionals', function(done) {
+			api.loadBalancerNew('lb-1', 'nyc3', [http], function(error, loadBalancer) {
+				assert.ifError(error);
+				assert.strictEqual(loadBalancer.name, 'lb-1');
+				done();
+			});
+		});
+	});
+
+	describe('Billing test', function() {
+		it('should get the balance, invoices and their items and summaries', function(done) {
+			api.balanceGet(function(error, balance) {
+				assert.ifError(error);
+				assert.strictEqual(balance.month_to_date_usage, '7.00');
+
+				api.invoiceGetAll({per_page: 1}, function(error, invoices) {
+					assert.ifError(error);
+					assert.deepEqual(invoices.map(function(invoice) {
+						return invoice.invoice_period;
+					}), ['2024-01', '2023-12']);
+
+					api.invoiceGet(invoices[0].invoice_uuid, function(error, items) {
+						assert.ifError(error);
+						assert.strictEqual(items.length, 2);
+
+						api.invoiceSummaryGet(invoices[0].invoice_uuid, function(error, summary) {
+							assert.ifError(error);
+							assert.strictEqual(summary.amount, invoices[0].amount);
+							done();
+						});
+					});
+				});
+			});
+		});
+
+		it('should download invoices as buffers', function(done) {
+			api.invoiceGetAll(function(error, invoices) {
+				assert.ifError(error);
+
+				api.invoiceDownload(invoices[1].invoice_uuid, 'csv', function(error, csv) {
+					assert.ifError(error);
+					assert.ok(Buffer.isBuffer(csv));
+					assert.strictEqual(csv.toString(), 'product,description,amount\nDroplets,web-1 (s-1vcpu-1gb),6.00\n');
+
+					api.invoiceDownload(invoices[1].invoice_uuid, 'pdf', function(error, pdf) {
+						assert.ifError(error);
+						assert.strictEqual(pdf.slice(0, 5).toString(), '%PDF-');
+						done();
+					});
+				});
+			});
+		});
+
+		it('should pass errors for unknown invoices and formats', function(done) {
+			api.invoiceDownload('00000000-0000-4000-8000-000000000001', 'xls', function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.strictEqual(server.requests.length, 0);
+
+				api.invoiceDownload('00000000-0000-4000-8000-000000000001', 'pdf', function(error) {
+					assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+
+					api.invoiceSummaryGet('00000000-0000-4000-8000-000000000001', function(error) {
+						assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+						done();
+					});
+				});
+			});
+		});
+	});
+
+	describe('Promise test', function() {
+		it('should resolve to the callback\'s data without a callback', function() {
+			return api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}).then(function(droplet) {
+				return api.dropletGet(droplet.id).then(function(found) {
+					assert.strictEqual(found.id, droplet.id);
+					assert.strictEqual(found.name, 'web-1');
+				});
+			});
+		});
+
+		it('should reject with the error classes', function() {
+			return api.dropletGet(404).then(function() {
+				assert.fail('dropletGet resolved for a missing droplet');
+			}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.NotFoundError);
+				assert.strictEqual(error.statusCode, 404);
+			});
+		});
+
+		it('should keep the meta of lists', function() {
+			return api.dropletNewMany(['web-1', 'web-2', 'web-3'], 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64').then(function() {
+				return api.dropletGetAll({per_page: 2});
+			}).then(function(droplets) {
+				assert.strictEqual(droplets.length, 3);
+				assert.strictEqual(droplets.meta.total, 3);
+				assert.deepEqual(Object.keys(droplets), ['0', '1', '2']);
+			});
+		});
+
+		it('should leave optional parameters out', function() {
+			return api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64').then(function(droplet) {
+				return api.dropletPowerOff(droplet.id).then(function(action) {
+					assert.strictEqual(action.type, 'power_off');
+					assert.strictEqual(action.status, 'in-progress');
+
+					return api.dropletGetAll();
+				}).then(function(droplets) {
+					assert.deepEqual(droplets.map(function(found) {
+						return found.id;
+					}), [droplet.id]);
+				});
+			});
+		});
+
+		it('should keep callbacks and withOptions synchronous', function(done) {
+			var client = api.withOptions({timeout: 1000});
+
+			assert.ok(client instanceof Digitalocean);
+			assert.strictEqual(client.timeout, 1000);
+			assert.strictEqual(client.sizeGetAll(function(error, sizes) {
+				assert.ifError(error);
+				assert.ok(sizes.length > 0);
+				done();
+			}), undefined);
+		});
+	});
+
+	describe('Client test', function() {
+		it('should only load the mock server when it is used', function() {
+			var script = [
+				'var Digitalocean = require("./lib/digitalocean");',
+				'var loaded = function() {',
+				'	return Object.keys(require.cache).filter(function(file) { return /mockserver/.test(file); }).length;',
+				'};',
+				'var before = loaded();',
+				'Digitalocean.MockServer;',
+				'console.log(before + " " + loaded());'
+			].join('\n');
+			var output = require('child_process').execFileSync(process.execPath, ['-e', script], {cwd: require('path').join(__dirname, '..')});
+
+			assert.strictEqual(String(output).trim(), '0 1');
+		});
+
+		it('should pass the connection options to the transport', function(done) {
+			var sent = [];
+			var transport = function(options, callback) {
+				sent.push(options);
+				request(options, callback);
+			};
+			var defaults = new Digitalocean('token', {baseUrl: server.url, transport: transport});
+			// answers without sending anything, the proxy doesn't exist
+			var custom = new Digitalocean('token', {
+				baseUrl: server.url,
+				transport: function(options, callback) {
+					sent.push(options);
+					callback(null, {statusCode: 200, headers: {}}, {sizes: [], links: {}, meta: {total: 0}});
+				},
+				strictSSL: false,
+				timeout: 1234,
+				userAgent: 'my-app/1.0',
+				proxy: 'http://proxy.example.com:3128'
+			});
+
+			defaults.sizeGetAll(function(error) {
+				assert.ifError(error);
+				assert.strictEqual(sent[0].strictSSL, true);
+				assert.strictEqual(sent[0].timeout, 60000);
+				assert.strictEqual(sent[0].proxy, undefined);
+				assert.strictEqual(sent[0].headers['User-Agent'], 'digitalocean-api/' + require('../package.json').version);
+				assert.strictEqual(sent[0].headers.Authorization, 'Bearer token');
+
+				custom.sizeGetAll(function(error) {
+					assert.ifError(error);
+					assert.strictEqual(sent[1].strictSSL, false);
+					assert.strictEqual(sent[1].timeout, 1234);
+					assert.strictEqual(sent[1].proxy, 'http://proxy.example.com:3128');
+					assert.strictEqual(sent[1].headers['User-Agent'], 'my-app/1.0');
+					done();
+				});
+			});
+		});
+
+		it('should keep the rate limit from the headers', function(done) {
+			api.sizeGetAll(function(error) {
+				assert.ifError(error);
+				assert.strictEqual(api.rateLimit.limit, 5000);
+				assert.strictEqual(api.rateLimit.remaining, 4999);
+				done();
+			});
+		});
+
+		it('should retry server errors', function(done) {
+			server.failNext(503);
+			server.failNext(500);
+
+			api.regionGetAll(function(error) {
+				assert.ifError(error);
+				assert.strictEqual(server.requests.length, 3);
+				done();
+			});
+		});
+
+		it('should not retry POST requests after server or network errors', function(done) {
+			var calls = 0;
+			var resetting = api.withOptions({transport: function(options, callback) {
+				calls++;
+				callback(Object.assign(new Error('socket hang up'), {code: 'ECONNRESET'}));
+			}});
+
+			server.failNext(500);
+
+			api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error) {
+				assert.strictEqual(error.statusCode, 500);
+				assert.strictEqual(server.requests.length, 1);
+				assert.deepEqual(server.droplets, []);
+
+				resetting.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error) {
+					assert.ok(error instanceof Digitalocean.errors.NetworkError);
+					assert.strictEqual(calls, 1);
+
+					resetting.sizeGetAll(function(error) {
+						assert.ok(error instanceof Digitalocean.errors.NetworkError);
+						assert.strictEqual(calls, 12);
+						done();
+					});
+				});
+			});
+		});
+
+		it('should retry any request rejected with 429', function(done) {
+			var limited = false;
+
+			api.withOptions({transport: function(options, callback) {
+				if (!limited) {
+					limited = true;
+					return callback(null, {statusCode: 429, headers: {'retry-after': '0'}}, {id: 'too_many_requests', message: 'API Rate limit exceeded.'});
+				}
+
+				request(options, callback);
+			}}).dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+				assert.ifError(error);
+				assert.strictEqual(droplet.name, 'web-1');
+				assert.strictEqual(server.requests.length, 1);
+				assert.strictEqual(server.droplets.length, 1);
+				done();
+			});
+		});
+
+		it('should wait as long as Retry-After and RateLimit-Reset say', function(done) {
+			var reset = Math.ceil(Date.now() / 1000) + 60;
+			var responses = [
+				{statusCode: 503, headers: {'retry-after': '3'}},
+				{statusCode: 429, headers: {'ratelimit-reset': String(reset)}}
+			];
+			var delays = [];
+			var client = api.withOptions({
+				transport: function(options, callback) {
+					callback(null, responses.shift(), {id: 'error', message: 'Try again later.'});
+				},
+				retry: {maxDelay: 120000, onRetry: function(error, info) {
+					delays.push(info.delay);
+					return false;
+				}}
+			});
+
+			client.sizeGetAll(function(error) {
+				assert.strictEqual(error.statusCode, 503);
+
+				client.sizeGetAll(function(error) {
+					assert.ok(error instanceof Digitalocean.errors.RateLimitError);
+					assert.strictEqual(delays[0], 3000);
+					assert.ok(delays[1] > 59000 && delays[1] <= 61000);
+					done();
+				});
+			});
+		});
+
+		it('should not wait longer than maxDelay for a server directed retry', function(done) {
+			var reset = Math.ceil(Date.now() / 1000) + 3600;
+			var retries = [];
+			var client = api.withOptions({
+				transport: function(options, callback) {
+					callback(null, {statusCode: 429, headers: {'ratelimit-reset': String(reset)}}, {id: 'too_many_requests', message: 'API Rate limit exceeded.'});
+				},
+				retry: {maxDelay: 30000, onRetry: function(error, info) {
+					retries.push(info);
+				}}
+			});
+
+			client.sizeGetAll(function(error) {
+				assert.ok(error instanceof Digitalocean.errors.RateLimitError);
+				assert.deepEqual(retries, []);
+				done();
+			});
+		});
+
+		it('should not retry when onRetry returns false', function(done) {
+			var retries = [];
+
+			server.failNext(503);
+
+			api.withOptions({retry: {onRetry: function(error, info) {
+				retries.push(info);
+				return false;
+			}}}).regionGetAll(function(error) {
+				assert.strictEqual(error.statusCode, 503);
+				assert.strictEqual(server.requests.length, 1);
+				assert.deepEqual(retries.map(function(info) {
+					return info.attempt + ' ' + info.method + ' ' + info.url;
+				}), ['1 GET regions/']);
+				done();
+			});
+		});
+
+		it('should pass an AuthenticationError for a wrong token', function(done) {
+			new Digitalocean('wrong', {baseUrl: server.url}).sizeGetAll(function(error) {
+				assert.ok(error instanceof Digitalocean.errors.AuthenticationError);
+				done();
+			});
 		});
 	});
-});
\ No newline at end of file
+});
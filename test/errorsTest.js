@@ -0,0 +1,66 @@
+var assert = require('assert');
+
+describe('Errors', function() {
+	var errors = require('../lib/errors');
+
+	describe('fromResponse', function() {
+		it('should pick the error class by status code', function() {
+			assert.ok(errors.fromResponse({statusCode: 401}) instanceof errors.AuthenticationError);
+			assert.ok(errors.fromResponse({statusCode: 404}) instanceof errors.NotFoundError);
+			assert.ok(errors.fromResponse({statusCode: 422}) instanceof errors.ValidationError);
+			assert.ok(errors.fromResponse({statusCode: 429}) instanceof errors.RateLimitError);
+			assert.strictEqual(errors.fromResponse({statusCode: 500}).constructor, errors.DigitalOceanError);
+		});
+
+		it('should keep the response metadata', function() {
+			var error = errors.fromResponse({
+				statusCode: 404,
+				headers: {'x-request-id': 'a1b2'}
+			}, {id: 'not_found', message: 'The resource you were accessing could not be found.'});
+
+			assert.ok(error instanceof errors.DigitalOceanError);
+			assert.ok(error instanceof Error);
+			assert.strictEqual(error.name, 'NotFoundError');
+			assert.strictEqual(error.message, 'The resource you were accessing could not be found.');
+			assert.strictEqual(error.statusCode, 404);
+			assert.strictEqual(error.id, 'not_found');
+			assert.strictEqual(error.requestId, 'a1b2');
+		});
+
+		it('should read the rate limit headers', function() {
+			var error = errors.fromResponse({
+				statusCode: 429,
+				headers: {'ratelimit-limit': '5000', 'ratelimit-remaining': '0', 'ratelimit-reset': '1444931833'}
+			}, {id: 'too_many_requests', message: 'API Rate limit exceeded.'});
+
+			assert.deepEqual(error.rateLimit, {limit: 5000, remaining: 0, reset: 1444931833});
+		});
+	});
+
+	describe('fromNetworkError', function() {
+		it('should keep the system error code', function() {
+			var cause = new Error('socket hang up');
+			cause.code = 'ECONNRESET';
+			var error = errors.fromNetworkError(cause);
+
+			assert.ok(error instanceof errors.NetworkError);
+			assert.strictEqual(error.code, 'ECONNRESET');
+			assert.strictEqual(error.cause, cause);
+		});
+	});
+
+	describe('waiting', function() {
+		it('should keep what was waited for', function() {
+			var action = {id: 36804636, status: 'errored'};
+			var timeout = new errors.TimeoutError('Timed out waiting for action 36804636 to complete', {action: action});
+			var failed = new errors.ActionError('Action 36804636 (power_off) errored', {action: action});
+
+			assert.ok(timeout instanceof errors.DigitalOceanError);
+			assert.strictEqual(timeout.name, 'TimeoutError');
+			assert.strictEqual(timeout.action, action);
+			assert.ok(failed instanceof errors.DigitalOceanError);
+			assert.strictEqual(failed.name, 'ActionError');
+			assert.strictEqual(failed.action, action);
+		});
+	});
+});
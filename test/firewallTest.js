@@ -0,0 +1,59 @@
+var assert = require('assert');
+
+describe('Firewall rules', function() {
+	var firewall = require('../lib/firewall');
+	var errors = require('../lib/errors');
+
+	it('should build inbound and outbound rules', function() {
+		var body = firewall.rulesBody([
+			firewall.allowInbound('tcp', 22).from({addresses: ['0.0.0.0/0', '::/0'], tags: ['bastion']}),
+			firewall.allowInbound('icmp').from({droplet_ids: [8043964]}),
+			firewall.allowOutbound('udp', '53').to({addresses: ['0.0.0.0/0']})
+		]);
+
+		assert.deepEqual(body, {
+			inbound_rules: [
+				{protocol: 'tcp', ports: '22', sources: {addresses: ['0.0.0.0/0', '::/0'], tags: ['bastion']}},
+				{protocol: 'icmp', sources: {droplet_ids: [8043964]}}
+			],
+			outbound_rules: [
+				{protocol: 'udp', ports: '53', destinations: {addresses: ['0.0.0.0/0']}}
+			]
+		});
+	});
+
+	it('should validate plain rules', function() {
+		var body = firewall.rulesBody({
+			inbound_rules: [{protocol: 'tcp', ports: '8000-9000', sources: {load_balancer_uids: ['4de7ac8b']}}]
+		});
+
+		assert.strictEqual(body.inbound_rules.length, 1);
+		assert.throws(function() {
+			firewall.rulesBody({inbound_rules: [{protocol: 'tcp', ports: '80', destinations: {addresses: ['0.0.0.0/0']}}]});
+		}, errors.ValidationError);
+	});
+
+	it('should reject invalid protocols, ports and sources', function() {
+		assert.throws(function() {
+			firewall.allowInbound('http', '80');
+		}, errors.ValidationError);
+		assert.throws(function() {
+			firewall.allowInbound('tcp', '70000');
+		}, errors.ValidationError);
+		assert.throws(function() {
+			firewall.allowInbound('tcp', '90-80');
+		}, errors.ValidationError);
+		assert.throws(function() {
+			firewall.allowInbound('tcp', '22').from({addresses: ['10.0.0.0/33']});
+		}, errors.ValidationError);
+		assert.throws(function() {
+			firewall.allowInbound('tcp', '22').from({hosts: ['example.com']});
+		}, errors.ValidationError);
+		assert.throws(function() {
+			firewall.allowOutbound('tcp', '22').from({addresses: ['0.0.0.0/0']});
+		}, errors.ValidationError);
+		assert.throws(function() {
+			firewall.rulesBody([firewall.allowInbound('tcp', '22')]);
+		}, errors.ValidationError);
+	});
+});
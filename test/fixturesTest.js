@@ -0,0 +1,68 @@
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+describe('Fixtures', function() {
+	var Digitalocean = require('../lib/digitalocean');
+	var fixtures = require('../lib/fixtures');
+	var file = path.join(os.tmpdir(), 'digitalocean-fixtures-' + process.pid + '.json');
+	var server = new Digitalocean.MockServer({token: 'secret-token'});
+
+	before(function(done) {
+		server.listen(function(error) {
+			done(error);
+		});
+	});
+
+	after(function(done) {
+		fs.unlink(file, function() {
+			server.close(done);
+		});
+	});
+
+	it('should record requests and responses without the token', function(done) {
+		var api = new Digitalocean('secret-token', {baseUrl: server.url, transport: fixtures.record(file)});
+
+		api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+			assert.ifError(error);
+
+			api.dropletGet(droplet.id, function(error) {
+				assert.ifError(error);
+
+				var text = fs.readFileSync(file, 'utf8');
+				var recorded = JSON.parse(text);
+
+				assert.strictEqual(text.indexOf('secret-token'), -1);
+				assert.deepEqual(recorded.map(function(fixture) {
+					return fixture.request.method + ' ' + fixture.request.path + ' ' + fixture.response.status;
+				}), ['POST /v2/droplets/ 202', 'GET /v2/droplets/' + droplet.id + ' 200']);
+				assert.strictEqual(recorded[0].request.body.name, 'web-1');
+				done();
+			});
+		});
+	});
+
+	it('should replay the recorded responses', function(done) {
+		var transport = fixtures.replay(file);
+		var api = new Digitalocean('other-token', {baseUrl: 'http://replay.invalid/v2', transport: transport});
+
+		api.dropletNew('web-1', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error, droplet) {
+			assert.ifError(error);
+			assert.strictEqual(droplet.name, 'web-1');
+			assert.strictEqual(transport.unused().length, 1);
+			done();
+		});
+	});
+
+	it('should fail requests without a fixture', function(done) {
+		var api = new Digitalocean('token', {baseUrl: 'http://replay.invalid/v2', transport: fixtures.replay(file)});
+
+		api.dropletNew('web-2', 'nyc3', 's-1vcpu-1gb', 'ubuntu-22-04-x64', {}, function(error) {
+			assert.ok(error instanceof Digitalocean.errors.NetworkError);
+			assert.strictEqual(error.code, 'EFIXTURE');
+			assert.ok(/POST \/v2\/droplets\//.test(error.message));
+			done();
+		});
+	});
+});
@@ -0,0 +1,198 @@
+var assert = require('assert');
+var request = require('request');
+
+describe('Plans', function() {
+	var Digitalocean = require('../lib/digitalocean');
+	var plans = require('../lib/plan');
+
+	var web = {
+		id: 1,
+		name: 'web-1',
+		status: 'active',
+		region: {slug: 'nyc3'},
+		size_slug: 's-1vcpu-1gb',
+		image: {id: 1001, slug: 'ubuntu-22-04-x64'},
+		tags: ['web']
+	};
+
+	describe('diff', function() {
+		it('should create, update and replace droplets', function() {
+			var plan = plans.diff({droplets: [web, {id: 2, name: 'db', region: {slug: 'nyc3'}, size_slug: 's-1vcpu-1gb', image: {id: 1001}, tags: []}], domains: [], records: {}}, {
+				droplets: [
+					{name: 'web-1', region: 'nyc3', size: 's-2vcpu-2gb', image: 'ubuntu-22-04-x64', tags: ['web', 'prod']},
+					{name: 'db', region: 'ams3', size: 's-1vcpu-1gb', image: 1001},
+					{name: 'cache', region: 'nyc3', size: 's-1vcpu-1gb', image: 'ubuntu-22-04-x64'}
+				]
+			});
+
+			assert.deepEqual(plan.changes.map(function(change) {
+				return change.action + ' ' + change.name;
+			}), ['update web-1', 'replace db', 'create cache']);
+			assert.deepEqual(plan.changes[0].changes, {size: 's-2vcpu-2gb', tags: {add: ['prod'], remove: []}});
+			assert.strictEqual(plan.destructive, true);
+		});
+
+		it('should only destroy what the spec leaves out when pruning', function() {
+			var current = {droplets: [web], domains: [{name: 'example.com'}], records: {}};
+
+			assert.deepEqual(plans.diff(current, {}).changes, []);
+			assert.deepEqual(plans.diff(current, {}, {prune: true}).changes.map(function(change) {
+				return change.action + ' ' + change.type + ' ' + change.name;
+			}), ['destroy droplet web-1', 'destroy domain example.com']);
+		});
+
+		it('should rename droplets matched by id', function() {
+			var plan = plans.diff({droplets: [web], domains: [], records: {}}, {
+				droplets: [{id: 1, name: 'web-2', region: 'nyc3', size: 's-1vcpu-1gb', image: 1001, tags: ['web']}]
+			});
+
+			assert.deepEqual(plan.changes[0].changes, {name: 'web-2'});
+			assert.strictEqual(plan.destructive, false);
+		});
+
+		it('should reject invalid specs', function() {
+			assert.throws(function() {
+				plans.diff({droplets: [], domains: [], records: {}}, {droplets: [{name: 'web-1'}]});
+			}, Digitalocean.errors.ValidationError);
+		});
+	});
+
+	describe('format', function() {
+		it('should describe every change', function() {
+			var plan = plans.diff({droplets: [web], domains: [], records: {}}, {
+				droplets: [{name: 'web-1', region: 'nyc3', size: 's-2vcpu-2gb', image: 1001, tags: []}],
+				domains: [{name: 'example.com', records: [{type: 'A', name: 'www', data: '203.0.113.10'}]}]
+			});
+
+			assert.strictEqual(plans.format(plan), [
+				'~ droplet web-1: size s-1vcpu-1gb -> s-2vcpu-2gb, tags -web',
+				'+ domain example.com',
+				'+ record A www.example.com 203.0.113.10',
+				'',
+				'Plan: 2 to create, 1 to update, 0 to replace, 0 to destroy.'
+			].join('\n') + '\n');
+		});
+	});
+
+	describe('apply', function() {
+		var server = new Digitalocean.MockServer();
+		var api;
+
+		var spec = {
+			droplets: [{name: 'web-1', region: 'nyc3', size: 's-1vcpu-1gb', image: 'ubuntu-22-04-x64', tags: ['web']}],
+			domains: [{name: 'example.com', records: [{type: 'A', name: 'www', data: '203.0.113.10'}]}]
+		};
+
+		before(function(done) {
+			server.listen(function(error, url) {
+				api = new Digitalocean('token', {baseUrl: url});
+				done(error);
+			});
+		});
+
+		after(function(done) {
+			server.close(done);
+		});
+
+		it('should only print the changes in a dry run', function(done) {
+			var entries = [];
+			var dryRun = api.withOptions({dryRun: function(entry) {
+				entries.push(entry.method + ' ' + entry.path);
+			}});
+
+			dryRun.apply(spec, {interval: 1}, function(error) {
+				assert.ifError(error);
+				assert.deepEqual(entries, ['POST /droplets/', 'POST /domains/', 'POST /domains/example.com/records']);
+				assert.deepEqual(server.requests.filter(function(request) {
+					return request.method !== 'GET';
+				}), []);
+				assert.deepEqual(server.droplets, []);
+				done();
+			});
+		});
+
+		it('should create what is missing and then have nothing left to do', function(done) {
+			api.apply(spec, {interval: 1}, function(error) {
+				assert.ifError(error);
+
+				api.plan(spec, function(error, plan) {
+					assert.ifError(error);
+					assert.deepEqual(plan.changes, []);
+					assert.strictEqual(server.droplets[0].status, 'active');
+					done();
+				});
+			});
+		});
+
+		it('should resize and retag droplets', function(done) {
+			var changed = {droplets: [{name: 'web-1', region: 'nyc3', size: 's-2vcpu-2gb', image: 'ubuntu-22-04-x64', tags: ['prod']}], domains: spec.domains};
+
+			api.apply(changed, {interval: 1}, function(error) {
+				assert.ifError(error);
+				assert.strictEqual(server.droplets[0].size_slug, 's-2vcpu-2gb');
+				assert.strictEqual(server.droplets[0].status, 'active');
+				assert.deepEqual(server.droplets[0].tags, ['prod']);
+				done();
+			});
+		});
+
+		it('should only go on after a tag exists', function(done) {
+			var tagged = {droplets: [{name: 'web-1', region: 'nyc3', size: 's-2vcpu-2gb', image: 'ubuntu-22-04-x64', tags: ['prod', 'db']}]};
+			var failTagNew = function(status, message) {
+				return api.withOptions({transport: function(options, callback) {
+					if (options.method === 'POST' && /\/tags\/\?/.test(options.url)) {
+						return callback(null, {statusCode: status, headers: {}}, {id: 'error', message: message});
+					}
+
+					request(options, callback);
+				}});
+			};
+
+			failTagNew(500, 'Server was unable to give you a response.').apply(tagged, {interval: 1}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.DigitalOceanError);
+				assert.strictEqual(error.statusCode, 500);
+				assert.deepEqual(server.droplets[0].tags, ['prod']);
+
+				server.tags.push('db');
+
+				failTagNew(422, 'Tag already exists.').apply(tagged, {interval: 1}, function(error) {
+					assert.ifError(error);
+					assert.deepEqual(server.droplets[0].tags, ['prod', 'db']);
+					done();
+				});
+			});
+		});
+
+		it('should tag droplets with a tag the mock server already has', function(done) {
+			var tagged = {droplets: [{name: 'web-1', region: 'nyc3', size: 's-2vcpu-2gb', image: 'ubuntu-22-04-x64', tags: ['prod', 'db', 'web']}]};
+			var sent = server.requests.length;
+
+			assert.ok(server.tags.indexOf('web') !== -1);
+
+			api.apply(tagged, {interval: 1}, function(error) {
+				assert.ifError(error);
+				assert.deepEqual(server.droplets[0].tags, ['prod', 'db', 'web']);
+				assert.deepEqual(server.requests.slice(sent).filter(function(request) {
+					return request.method === 'POST';
+				}).map(function(request) {
+					return request.path;
+				}), ['/v2/tags', '/v2/tags/web/resources']);
+				done();
+			});
+		});
+
+		it('should refuse destructive plans unless allowed', function(done) {
+			api.apply({}, {prune: true}, function(error) {
+				assert.ok(error instanceof Digitalocean.errors.ValidationError);
+				assert.strictEqual(server.droplets.length, 1);
+
+				api.apply({}, {prune: true, allowDestroy: true}, function(error) {
+					assert.ifError(error);
+					assert.strictEqual(server.droplets.length, 0);
+					assert.strictEqual(server.domains.length, 0);
+					done();
+				});
+			});
+		});
+	});
+});
@@ -0,0 +1,59 @@
+var assert = require('assert');
+
+describe('Domain records', function() {
+	var records = require('../lib/records');
+
+	describe('names', function() {
+		it('should make names relative to the domain', function() {
+			assert.strictEqual(records.relativeName('www.example.com.', 'example.com'), 'www');
+			assert.strictEqual(records.relativeName('www.example.com', 'example.com'), 'www');
+			assert.strictEqual(records.relativeName('example.com.', 'example.com'), '@');
+			assert.strictEqual(records.relativeName('', 'example.com'), '@');
+			assert.strictEqual(records.relativeName('mail', 'example.com'), 'mail');
+		});
+
+		it('should make names fully qualified', function() {
+			assert.strictEqual(records.absoluteName('www', 'example.com'), 'www.example.com');
+			assert.strictEqual(records.absoluteName('@', 'example.com'), 'example.com');
+		});
+	});
+
+	describe('diff', function() {
+		var current = [
+			{id: 1, type: 'SOA', name: '@', data: '1800', ttl: 1800},
+			{id: 2, type: 'NS', name: '@', data: 'ns1.digitalocean.com', ttl: 1800},
+			{id: 3, type: 'A', name: '@', data: '203.0.113.10', ttl: 3600},
+			{id: 4, type: 'A', name: 'www', data: '203.0.113.10', ttl: 3600},
+			{id: 5, type: 'CNAME', name: 'blog', data: 'example.com', ttl: 3600},
+			{id: 6, type: 'TXT', name: 'old', data: 'v=spf1 -all', ttl: 3600}
+		];
+
+		it('should only plan what changed', function() {
+			var plan = records.diff(current, [
+				{type: 'A', name: 'example.com.', data: '203.0.113.10'},
+				{type: 'A', name: 'www', data: '203.0.113.20', ttl: 300},
+				{type: 'CNAME', name: 'blog.example.com', data: '@'},
+				{type: 'MX', name: '@', data: 'mail.example.com', priority: 10}
+			], 'example.com');
+
+			assert.deepEqual(plan.unchanged.map(function(record) {
+				return record.id;
+			}), [3, 5]);
+			assert.strictEqual(plan.update.length, 1);
+			assert.strictEqual(plan.update[0].record.id, 4);
+			assert.deepEqual(plan.update[0].changes, {type: 'A', name: 'www', data: '203.0.113.20', ttl: 300});
+			assert.deepEqual(plan.create, [{type: 'MX', name: '@', data: 'mail.example.com.', priority: 10}]);
+			assert.deepEqual(plan.destroy, []);
+		});
+
+		it('should prune records that are not desired, except SOA and the domain\'s NS records', function() {
+			var plan = records.diff(current, [
+				{type: 'A', name: '@', data: '203.0.113.10'}
+			], 'example.com', {prune: true});
+
+			assert.deepEqual(plan.destroy.map(function(record) {
+				return record.id;
+			}), [4, 5, 6]);
+		});
+	});
+});
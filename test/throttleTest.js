@@ -0,0 +1,56 @@
+var assert = require('assert');
+
+describe('Throttle', function() {
+	var Throttle = require('../lib/throttle');
+
+	it('should cap the number of running tasks', function(done) {
+		var throttle = new Throttle({concurrency: 2});
+		var running = 0;
+		var finished = 0;
+
+		for (var i = 0; i < 6; i++) {
+			throttle.schedule(function(next) {
+				running++;
+				assert.ok(running <= 2);
+
+				setTimeout(function() {
+					running--;
+					next();
+
+					if (++finished === 6) {
+						done();
+					}
+				}, 5);
+			});
+		}
+	});
+
+	it('should start tasks no faster than the bucket refills', function(done) {
+		var throttle = new Throttle({rate: 1, interval: 20, burst: 1});
+		var started = Date.now();
+		var count = 0;
+
+		for (var i = 0; i < 3; i++) {
+			throttle.schedule(function(next) {
+				next();
+
+				if (++count === 3) {
+					assert.ok(Date.now() - started >= 35);
+					done();
+				}
+			});
+		}
+	});
+
+	it('should hold tasks back while paused', function(done) {
+		var throttle = new Throttle();
+		var resumeAt = Date.now() + 30;
+		throttle.pauseUntil(resumeAt);
+
+		throttle.schedule(function(next) {
+			assert.ok(Date.now() >= resumeAt);
+			next();
+			done();
+		});
+	});
+});
@@ -0,0 +1,52 @@
+var assert = require('assert');
+
+describe('Zone files', function() {
+	var zone = require('../lib/zone');
+
+	var list = [
+		{type: 'A', name: '@', data: '203.0.113.10', ttl: 3600},
+		{type: 'AAAA', name: 'www', data: '2001:db8::1', ttl: 300},
+		{type: 'CNAME', name: 'blog', data: '@', ttl: 3600},
+		{type: 'CNAME', name: 'docs', data: 'example.github.io.', ttl: 3600},
+		{type: 'MX', name: '@', data: 'mx.example.net.', priority: 10, ttl: 3600},
+		{type: 'TXT', name: '@', data: 'v=spf1 include:_spf.example.net ~all', ttl: 3600},
+		{type: 'TXT', name: 'quoted', data: 'say "hi" \\ ' + new Array(301).join('x'), ttl: 3600},
+		{type: 'SRV', name: '_sip._tcp', data: 'sip.example.com.', priority: 10, weight: 5, port: 5060, ttl: 3600},
+		{type: 'CAA', name: '@', data: 'letsencrypt.org', flags: 0, tag: 'issue', ttl: 3600},
+		{type: 'NS', name: 'sub', data: 'ns1.example.net.', ttl: 1800}
+	];
+
+	it('should round-trip records', function() {
+		var text = zone.serialize('example.com', list);
+
+		assert.deepEqual(zone.parse(text, 'example.com'), list);
+	});
+
+	it('should split long TXT records into quoted strings', function() {
+		var text = zone.serialize('example.com', [list[6]]);
+
+		assert.ok(/^quoted\t3600\tIN\tTXT\t"say \\"hi\\" \\\\ x+" "x+"$/m.test(text));
+	});
+
+	it('should read directives, comments, left out owners and multi-line records', function() {
+		var parsed = zone.parse([
+			'$ORIGIN example.com.',
+			'$TTL 1h',
+			'@ IN SOA ns1.example.net. hostmaster.example.com. (',
+			'	2024010101 ; serial',
+			'	7200 3600 1209600 3600 )',
+			'www 300 IN A 203.0.113.10 ; web server',
+			'    IN 600 AAAA 2001:db8::1',
+			'mail IN MX 10 mx',
+			'$ORIGIN dev.example.com.',
+			'api CNAME www.example.com.'
+		].join('\n'), 'example.com');
+
+		assert.deepEqual(parsed.slice(1), [
+			{type: 'A', name: 'www', data: '203.0.113.10', ttl: 300},
+			{type: 'AAAA', name: 'www', data: '2001:db8::1', ttl: 600},
+			{type: 'MX', name: 'mail', data: 'mx.example.com.', priority: 10, ttl: 3600},
+			{type: 'CNAME', name: 'api.dev', data: 'www.example.com.', ttl: 3600}
+		]);
+	});
+});